@@ -9,14 +9,26 @@
    STATE
 ───────────────────────────────────────────── */
 const state = {
+  taxYear:           window.UKCalc.TAX_YEAR,
   salaryAmount:      35000,
   salaryPeriod:      'annual',
   country:           'england',
   pensionValue:      0,
   pensionUnit:       'percent',
+  pensionScheme:     'sacrifice',
+  pensionBasis:      'full',
+  employerPensionValue: 0,
   studentLoan:       'none',
   blindPerson:       false,
   marriageAllowance: false,
+  children:          0,
+  savingsInterest:   0,
+  dividends:         0,
+  taxCode:           '',
+  niCategory:        'A',
+  age:               null,
+  employmentAllowance: false,
+  paysApprenticeshipLevy: false,
   resultsPeriod:     'annual',
   results:           null,
 };
@@ -28,20 +40,53 @@ const $ = id => document.getElementById(id);
 
 const els = {
   salaryInput:          $('salaryInput'),
+  taxYearSelect:        $('taxYearSelect'),
+  taxCodeInput:         $('taxCodeInput'),
+  taxCodeExplainer:     $('taxCodeExplainer'),
+  taxCodeExplanation:   $('taxCodeExplanation'),
   pensionInput:         $('pensionInput'),
+  pensionSchemeSelect:  $('pensionSchemeSelect'),
+  pensionBasisSelect:   $('pensionBasisSelect'),
+  employerPensionInput: $('employerPensionInput'),
+  autoEnrolmentHint:    $('autoEnrolmentHint'),
+  annualAllowanceWarning: $('annualAllowanceWarning'),
+  annualAllowanceNotes: $('annualAllowanceNotes'),
   studentLoanSelect:    $('studentLoanSelect'),
   blindAllowance:       $('blindAllowance'),
   marriageAllowance:    $('marriageAllowance'),
+  childrenInput:        $('childrenInput'),
+  savingsInput:         $('savingsInput'),
+  dividendsInput:       $('dividendsInput'),
+  ageInput:             $('ageInput'),
+  niCategorySelect:     $('niCategorySelect'),
+  niCategoryHint:       $('niCategoryHint'),
+  employmentAllowance:  $('employmentAllowance'),
+  employmentAllowanceHint: $('employmentAllowanceHint'),
+  apprenticeshipLevy:   $('apprenticeshipLevy'),
   optionsToggle:        $('optionsToggle'),
   optionsContent:       $('optionsContent'),
   optionsAccordion:     $('optionsAccordion'),
-  mobileMenuToggle:     $('mobileMenuToggle'),
-  mobileMenu:           $('mobileMenu'),
+
+  // Saved scenarios
+  scenariosToggle:      $('scenariosToggle'),
+  scenariosAccordion:   $('scenariosAccordion'),
+  scenarioForm:         $('scenarioForm'),
+  scenarioNameInput:    $('scenarioNameInput'),
+  scenarioList:         $('scenarioList'),
+  scenarioEmpty:        $('scenarioEmpty'),
+  scenarioStatus:       $('scenarioStatus'),
+  exportScenariosBtn:   $('exportScenariosBtn'),
+  importScenariosBtn:   $('importScenariosBtn'),
+  importScenariosInput: $('importScenariosInput'),
 
   // Results
   takeHomeAmount:       $('takeHomeAmount'),
   takeHomePeriod:       $('takeHomePeriod'),
   grossDisplay:         $('grossDisplay'),
+  savingsDisplay:       $('savingsDisplay'),
+  dividendsDisplay:     $('dividendsDisplay'),
+  savingsRow:           $('savingsRow'),
+  dividendsRow:         $('dividendsRow'),
   taxDisplay:           $('taxDisplay'),
   niDisplay:            $('niDisplay'),
   pensionDisplay:       $('pensionDisplay'),
@@ -49,36 +94,83 @@ const els = {
   takeHomeDisplay:      $('takeHomeDisplay'),
   pensionRow:           $('pensionRow'),
   loanRow:              $('loanRow'),
+  employerPensionRow:   $('employerPensionRow'),
+  employerPensionDisplay: $('employerPensionDisplay'),
   effectiveRate:        $('effectiveRate'),
   marginalRate:         $('marginalRate'),
   personalAllowanceDisplay: $('personalAllowanceDisplay'),
 
-  // Bar segments
-  barTakeHome:          $('barTakeHome'),
-  barTax:               $('barTax'),
-  barNI:                $('barNI'),
-  barPension:           $('barPension'),
-  barLoan:              $('barLoan'),
+  // Employer cost
+  employerCostDisplay:  $('employerCostDisplay'),
+  employerGrossDisplay: $('employerGrossDisplay'),
+  employerNIDisplay:    $('employerNIDisplay'),
+  employmentAllowanceRow: $('employmentAllowanceRow'),
+  employmentAllowanceDisplay: $('employmentAllowanceDisplay'),
+  employerCostPensionRow: $('employerCostPensionRow'),
+  employerCostPensionDisplay: $('employerCostPensionDisplay'),
+  levyRow:              $('levyRow'),
+  levyDisplay:          $('levyDisplay'),
+
+  // Child Benefit
+  childBenefitPanel:    $('childBenefitPanel'),
+  childBenefitNetDisplay: $('childBenefitNetDisplay'),
+  childBenefitDisplay:  $('childBenefitDisplay'),
+  childBenefitChargeLabel: $('childBenefitChargeLabel'),
+  childBenefitChargeDisplay: $('childBenefitChargeDisplay'),
+  childBenefitNotes:    $('childBenefitNotes'),
+
+  // Breakdown bar
+  breakdownBar:         $('breakdownBar'),
+
+  // Printable summary
+  printSummaryBtn:      $('printSummaryBtn'),
+  printTaxYear:         $('printTaxYear'),
+  printDate:            $('printDate'),
+  printRows:            $('printRows'),
+  printAssumptions:     $('printAssumptions'),
+  printLink:            $('printLink'),
+
+  // Export
+  exportCsvBtn:         $('exportCsvBtn'),
+  exportJsonBtn:        $('exportJsonBtn'),
 };
 
 /* ─────────────────────────────────────────────
    CALCULATION & RENDER
 ───────────────────────────────────────────── */
 
-function runCalculation() {
-  const results = window.UKCalc.calculate({
+// The calculate() params for the current inputs
+function calculationParams() {
+  return {
+    taxYear:           state.taxYear,
     salaryAmount:      state.salaryAmount,
     salaryPeriod:      state.salaryPeriod,
     country:           state.country,
     pensionValue:      state.pensionValue,
     pensionUnit:       state.pensionUnit,
+    pensionScheme:     state.pensionScheme,
+    pensionBasis:      state.pensionBasis,
+    employerPensionValue: state.employerPensionValue,
     studentLoan:       state.studentLoan,
     blindPerson:       state.blindPerson,
     marriageAllowance: state.marriageAllowance,
-  });
+    children:          state.children,
+    savingsInterest:   state.savingsInterest,
+    dividends:         state.dividends,
+    taxCode:           state.taxCode,
+    niCategory:        state.niCategory,
+    age:               state.age,
+    employmentAllowance: state.employmentAllowance,
+    paysApprenticeshipLevy: state.paysApprenticeshipLevy,
+  };
+}
+
+function runCalculation() {
+  const results = window.UKCalc.calculate(calculationParams());
 
   state.results = results;
   renderResults(results);
+  writeUrlState();
 }
 
 function renderResults(r) {
@@ -87,7 +179,7 @@ function renderResults(r) {
   const period = state.resultsPeriod;
 
   // Pick the right period multiplier
-  let gross, tax, ni, pension, loan, takeHome, periodLabel;
+  let gross, tax, ni, pension, loan, takeHome, periodLabel, divisor;
 
   switch (period) {
     case 'monthly':
@@ -98,6 +190,7 @@ function renderResults(r) {
       loan     = r.loanMonthly;
       takeHome = r.takeHomeMonthly;
       periodLabel = 'per month';
+      divisor  = 12;
       break;
     case 'weekly':
       gross    = r.grossWeekly;
@@ -107,6 +200,7 @@ function renderResults(r) {
       loan     = r.loanWeekly;
       takeHome = r.takeHomeWeekly;
       periodLabel = 'per week';
+      divisor  = 52;
       break;
     default: // annual
       gross    = r.grossAnnual;
@@ -116,6 +210,7 @@ function renderResults(r) {
       loan     = r.studentLoanRepayment;
       takeHome = r.takeHome;
       periodLabel = 'per year';
+      divisor  = 1;
   }
 
   // Hero take-home
@@ -124,40 +219,176 @@ function renderResults(r) {
 
   // Breakdown list
   els.grossDisplay.textContent    = fmt(gross);
+  els.savingsDisplay.textContent  = `+${fmt(r.savingsInterest / divisor)}`;
+  els.dividendsDisplay.textContent = `+${fmt(r.dividends / divisor)}`;
   els.taxDisplay.textContent      = `−${fmt(tax)}`;
   els.niDisplay.textContent       = `−${fmt(ni)}`;
   els.pensionDisplay.textContent  = `−${fmt(pension)}`;
   els.loanDisplay.textContent     = `−${fmt(loan)}`;
   els.takeHomeDisplay.textContent = fmt(takeHome);
 
+  els.employerPensionDisplay.textContent = `+${fmt(r.employerPensionAnnual / divisor)}`;
+
   // Show/hide optional rows
   els.pensionRow.style.display = r.pensionAnnual > 0 ? 'flex' : 'none';
   els.loanRow.style.display    = r.studentLoanRepayment > 0 ? 'flex' : 'none';
+  els.employerPensionRow.style.display = r.employerPensionAnnual > 0 ? 'flex' : 'none';
+  els.savingsRow.style.display   = r.savingsInterest > 0 ? 'flex' : 'none';
+  els.dividendsRow.style.display = r.dividends > 0 ? 'flex' : 'none';
+
+  // Auto-enrolment minimum hint (employee share includes tax relief)
+  const aeMin = r.autoEnrolmentMinimum;
+  els.autoEnrolmentHint.textContent = r.meetsAutoEnrolmentMinimum
+    ? '% of pensionable pay'
+    : `Auto-enrolment minimum: ${fmt(aeMin.employer)} employer, ${fmt(aeMin.total)} total`;
 
   // Rate cards (always annual)
   els.effectiveRate.textContent            = fmtPct(r.effectiveTaxRate);
   els.marginalRate.textContent             = `${Math.round(r.marginalRate)}%`;
   els.personalAllowanceDisplay.textContent = fmt(r.personalAllowance);
 
+  renderTaxCode(r);
+  renderNICategory(r);
+  renderEmployerCost(r, divisor);
+  renderChildBenefit(r);
+  renderAnnualAllowance(r);
+
   // Breakdown bar
-  updateBreakdownBar(r);
+  updateBreakdownBar(r, els.breakdownBar);
+}
+
+/**
+ * Say when the age given moves NI onto a different category letter.
+ * @param {object} r  calculate() result
+ */
+function renderNICategory(r) {
+  els.niCategoryHint.textContent = r.niCategoryReason
+    ? `Using ${r.niCategory}: ${r.niCategoryReason}`
+    : 'Letter on the payslip';
+}
+
+/**
+ * Child Benefit after the High Income Child Benefit Charge, with the pension
+ * contributions that would avoid the charge and the £100k childcare cliff edge.
+ * Always annual: the charge is settled through Self Assessment, not payroll.
+ * @param {object} r  calculate() result
+ */
+function renderChildBenefit(r) {
+  const cb = r.childBenefit;
+  els.childBenefitPanel.hidden = !cb;
+  if (!cb) return;
+
+  const fmt = window.UKCalc.formatCurrency;
+  const income = fmt(r.adjustedIncome);
+
+  els.childBenefitNetDisplay.textContent    = `${fmt(cb.netChildBenefit)} a year`;
+  els.childBenefitDisplay.textContent       = fmt(cb.childBenefit);
+  els.childBenefitChargeDisplay.textContent = `−${fmt(cb.charge)}`;
+  els.childBenefitChargeLabel.textContent   = cb.chargePercent > 0
+    ? `High Income Child Benefit Charge (${cb.chargePercent}%)`
+    : 'High Income Child Benefit Charge';
+
+  const notes = [];
+  if (cb.charge > 0) {
+    notes.push(`Your adjusted net income of ${income} is over ${fmt(cb.chargeThreshold)}, so the charge takes back ${cb.chargePercent}% of your Child Benefit. It's paid through Self Assessment, not taken from your pay.`);
+    if (cb.marginalChargeRate > 0) {
+      notes.push(`Until ${fmt(cb.chargeUpperLimit)}, every extra £1,000 you earn adds about ${fmt(cb.marginalChargeRate * 1000)} to the charge, on top of tax and NI.`);
+    }
+    notes.push(`Another ${fmt(cb.pensionToClearCharge)} of pension contributions — through salary sacrifice, or gross under relief at source — would bring your adjusted net income down to ${fmt(cb.chargeThreshold)} and remove the charge.`);
+  } else {
+    notes.push(`No charge at an adjusted net income of ${income}. Over ${fmt(cb.chargeThreshold)}, the charge takes back 1% of your Child Benefit for every ${fmt((cb.chargeUpperLimit - cb.chargeThreshold) / 100)} of income.`);
+  }
+
+  const limit = fmt(window.UKCalc.CHILDCARE_SUPPORT_LIMIT);
+  notes.push(cb.losesChildcareSupport
+    ? `Over ${limit} you lose Tax-Free Childcare and the funded childcare hours. Another ${fmt(cb.pensionToKeepChildcare)} of pension contributions would bring you back to ${limit}.`
+    : `Tax-Free Childcare and the funded childcare hours stop if your adjusted net income goes over ${limit}.`);
+
+  els.childBenefitNotes.innerHTML = '';
+  notes.forEach(note => {
+    const li = document.createElement('li');
+    li.textContent = note;
+    els.childBenefitNotes.appendChild(li);
+  });
+}
+
+/**
+ * Warn when you and your employer pay in more than this year's annual
+ * allowance. Carry-forward needs earlier years' figures, so it's left to the
+ * pension allowance checker.
+ * @param {object} r  calculate() result
+ */
+function renderAnnualAllowance(r) {
+  const aa = r.annualAllowance;
+  const over = aa.pensionInput > aa.allowance;
+  els.annualAllowanceWarning.hidden = !over;
+  if (!over) return;
+
+  const fmt = window.UKCalc.formatCurrency;
+  const excess = aa.pensionInput - aa.allowance;
+  const allowance = aa.tapered
+    ? `tapered annual allowance of ${fmt(aa.allowance)}`
+    : `${fmt(aa.allowance)} annual allowance`;
+
+  els.annualAllowanceNotes.innerHTML = `
+    <li>You and your employer pay in ${fmt(aa.pensionInput)} a year, ${fmt(excess)} over your ${allowance}.</li>
+    <li>Unless unused allowance from the last three years covers it, about ${fmt(aa.charge)} of annual allowance charge is due at your marginal rate. <a href="pension-allowance.html">Check carry-forward</a></li>`;
+}
+
+/**
+ * The employer's side of the salary, in the same period as the take-home.
+ * @param {object} r        calculate() result
+ * @param {number} divisor  Periods per year
+ */
+function renderEmployerCost(r, divisor) {
+  const fmt = window.UKCalc.formatCurrency;
+  const rules = window.UKCalc.getTaxYearRules(state.taxYear);
+
+  els.employerCostDisplay.textContent        = fmt(r.employerCost / divisor);
+  els.employerGrossDisplay.textContent       = fmt(r.grossAnnual / divisor);
+  els.employerNIDisplay.textContent          = `+${fmt(r.employerNIDue / divisor)}`;
+  els.employmentAllowanceDisplay.textContent = `−${fmt(r.employmentAllowanceUsed / divisor)}`;
+  els.employerCostPensionDisplay.textContent = `+${fmt(r.employerPensionAnnual / divisor)}`;
+  els.levyDisplay.textContent                = `+${fmt(r.apprenticeshipLevy / divisor)}`;
+
+  els.employmentAllowanceRow.style.display = r.employmentAllowanceUsed > 0 ? 'flex' : 'none';
+  els.employerCostPensionRow.style.display = r.employerPensionAnnual > 0 ? 'flex' : 'none';
+  els.levyRow.style.display                = r.apprenticeshipLevy > 0 ? 'flex' : 'none';
+
+  els.employmentAllowanceHint.textContent =
+    `Employer sets up to ${fmt(rules.employerNI.employmentAllowance)} against its NI (${rules.label})`;
 }
 
-function updateBreakdownBar(r) {
-  const gross = r.grossAnnual;
-  if (gross <= 0) return;
-
-  const takeHomePct = (r.takeHome / gross) * 100;
-  const taxPct      = (r.incomeTax / gross) * 100;
-  const niPct       = (r.ni / gross) * 100;
-  const pensionPct  = (r.pensionAnnual / gross) * 100;
-  const loanPct     = (r.studentLoanRepayment / gross) * 100;
-
-  els.barTakeHome.style.width = `${Math.max(0, takeHomePct)}%`;
-  els.barTax.style.width      = `${Math.max(0, taxPct)}%`;
-  els.barNI.style.width       = `${Math.max(0, niPct)}%`;
-  els.barPension.style.width  = `${Math.max(0, pensionPct)}%`;
-  els.barLoan.style.width     = `${Math.max(0, loanPct)}%`;
+const COUNTRY_NAMES = {
+  england:  'England',
+  scotland: 'Scotland',
+  wales:    'Wales',
+  ni:       'Northern Ireland',
+};
+
+function renderTaxCode(r) {
+  const code = r.taxCode;
+  els.taxCodeExplainer.hidden = !code;
+  if (!code) return;
+
+  const lines = window.UKCalc.explainTaxCode(code, window.UKCalc.getTaxYearRules(state.taxYear));
+  if (!code.valid) {
+    lines.push('The standard 1257L allowance is being used until the code is corrected.');
+  } else if (code.prefix && r.taxCountry !== state.country) {
+    lines.push(`Your code sets ${COUNTRY_NAMES[r.taxCountry]} rates, so they're used instead of ${COUNTRY_NAMES[state.country]}.`);
+  }
+  if (code.valid && (state.blindPerson || state.marriageAllowance)) {
+    lines.push('Blind Person\'s and Marriage Allowance are already included in your tax code, so the options below are ignored.');
+  }
+
+  els.taxCodeExplainer.classList.toggle('tax-code-explainer--invalid', !code.valid);
+  els.taxCodeInput.toggleAttribute('aria-invalid', !code.valid);
+  els.taxCodeExplanation.innerHTML = '';
+  lines.forEach(line => {
+    const li = document.createElement('li');
+    li.textContent = line;
+    els.taxCodeExplanation.appendChild(li);
+  });
 }
 
 /* ─────────────────────────────────────────────
@@ -171,24 +402,26 @@ els.salaryInput.addEventListener('input', () => {
   runCalculation();
 });
 
+const SALARY_LABELS = {
+  annual: 'Annual Salary',
+  monthly: 'Monthly Salary',
+  weekly: 'Weekly Salary',
+  daily: 'Daily Rate',
+  hourly: 'Hourly Rate',
+};
+
+function updateSalaryLabel() {
+  const label = document.querySelector('.field-label[for="salaryInput"]');
+  if (label) label.textContent = SALARY_LABELS[state.salaryPeriod] || 'Salary Amount';
+}
+
 // Period toggle buttons
 document.querySelectorAll('.period-btn').forEach(btn => {
   btn.addEventListener('click', () => {
     document.querySelectorAll('.period-btn').forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
     state.salaryPeriod = btn.dataset.period;
-
-    // Update label
-    const labelMap = {
-      annual: 'Annual Salary',
-      monthly: 'Monthly Salary',
-      weekly: 'Weekly Salary',
-      daily: 'Daily Rate',
-      hourly: 'Hourly Rate',
-    };
-    const label = document.querySelector('.field-label[for="salaryInput"]');
-    if (label) label.textContent = labelMap[state.salaryPeriod] || 'Salary Amount';
-
+    updateSalaryLabel();
     runCalculation();
   });
 });
@@ -214,19 +447,49 @@ document.querySelectorAll('.results-period-btn').forEach(btn => {
     btn.classList.add('active');
     state.resultsPeriod = btn.dataset.resultsPeriod;
     if (state.results) renderResults(state.results);
+    writeUrlState();
   });
 });
 
+// Tax year
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.taxCodeInput.addEventListener('input', () => {
+  state.taxCode = els.taxCodeInput.value.trim();
+  runCalculation();
+});
+
 // Pension input
 els.pensionInput.addEventListener('input', () => {
   state.pensionValue = parseFloat(els.pensionInput.value) || 0;
   runCalculation();
 });
 
+// Employer pension input
+els.employerPensionInput.addEventListener('input', () => {
+  state.employerPensionValue = parseFloat(els.employerPensionInput.value) || 0;
+  runCalculation();
+});
+
+// Pension scheme
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+// Pension basis
+els.pensionBasisSelect.addEventListener('change', () => {
+  state.pensionBasis = els.pensionBasisSelect.value;
+  runCalculation();
+});
+
 // Pension unit toggle
-document.querySelectorAll('.unit-btn').forEach(btn => {
+document.querySelectorAll('.unit-btn[data-unit]').forEach(btn => {
   btn.addEventListener('click', () => {
-    document.querySelectorAll('.unit-btn').forEach(b => b.classList.remove('active'));
+    document.querySelectorAll('.unit-btn[data-unit]').forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
     state.pensionUnit = btn.dataset.unit;
     runCalculation();
@@ -251,6 +514,46 @@ els.marriageAllowance.addEventListener('change', () => {
   runCalculation();
 });
 
+// Children claiming Child Benefit
+els.childrenInput.addEventListener('input', () => {
+  const children = parseInt(els.childrenInput.value, 10);
+  state.children = children > 0 ? children : 0;
+  runCalculation();
+});
+
+// Savings and dividends
+els.savingsInput.addEventListener('input', () => {
+  state.savingsInterest = Math.max(0, parseFloat(els.savingsInput.value) || 0);
+  runCalculation();
+});
+
+els.dividendsInput.addEventListener('input', () => {
+  state.dividends = Math.max(0, parseFloat(els.dividendsInput.value) || 0);
+  runCalculation();
+});
+
+// Age and NI category
+els.ageInput.addEventListener('input', () => {
+  const age = parseInt(els.ageInput.value, 10);
+  state.age = age >= 0 ? age : null;
+  runCalculation();
+});
+
+els.niCategorySelect.addEventListener('change', () => {
+  state.niCategory = els.niCategorySelect.value;
+  runCalculation();
+});
+
+els.employmentAllowance.addEventListener('change', () => {
+  state.employmentAllowance = els.employmentAllowance.checked;
+  runCalculation();
+});
+
+els.apprenticeshipLevy.addEventListener('change', () => {
+  state.paysApprenticeshipLevy = els.apprenticeshipLevy.checked;
+  runCalculation();
+});
+
 /* ─────────────────────────────────────────────
    OPTIONS ACCORDION
 ───────────────────────────────────────────── */
@@ -260,19 +563,9 @@ els.optionsToggle.addEventListener('click', () => {
   els.optionsToggle.setAttribute('aria-expanded', isOpen);
 });
 
-/* ─────────────────────────────────────────────
-   MOBILE MENU
-───────────────────────────────────────────── */
-
-els.mobileMenuToggle.addEventListener('click', () => {
-  els.mobileMenu.classList.toggle('open');
-});
-
-// Close mobile menu when a link is clicked
-document.querySelectorAll('.nav__mobile-link, .nav__mobile-menu .btn').forEach(link => {
-  link.addEventListener('click', () => {
-    els.mobileMenu.classList.remove('open');
-  });
+els.scenariosToggle.addEventListener('click', () => {
+  const isOpen = els.scenariosAccordion.classList.toggle('open');
+  els.scenariosToggle.setAttribute('aria-expanded', isOpen);
 });
 
 /* ─────────────────────────────────────────────
@@ -298,61 +591,482 @@ document.querySelectorAll('.rates-tab').forEach(tab => {
 });
 
 /* ─────────────────────────────────────────────
-   FAQ ACCORDION
+   URL STATE
 ───────────────────────────────────────────── */
 
-document.querySelectorAll('.faq-question').forEach(question => {
-  question.addEventListener('click', () => {
-    const item = question.closest('.faq-item');
-    const isOpen = item.classList.contains('open');
+// Parsers return undefined for anything unusable, so the default is kept
+const urlNumber = (max = Infinity) => value => {
+  const n = Number(value);
+  return value !== '' && Number.isFinite(n) && n >= 0 && n <= max ? n : undefined;
+};
+const urlChoice = choices => value => (choices().includes(value) ? value : undefined);
+const urlFlag = value => (value === '1' ? true : value === '0' ? false : undefined);
+
+const optionValues = select => () => [...select.options].map(o => o.value);
+const buttonValues = (selector, key) => () =>
+  [...document.querySelectorAll(selector)].map(btn => btn.dataset[key]);
+
+// Query-string key → state key, and how to read it back
+const URL_PARAMS = {
+  salary:   { key: 'salaryAmount',         parse: urlNumber(10000000) },
+  period:   { key: 'salaryPeriod',         parse: urlChoice(buttonValues('.period-btn', 'period')) },
+  country:  { key: 'country',              parse: urlChoice(buttonValues('.country-card', 'country')) },
+  year:     { key: 'taxYear',              parse: urlChoice(() => window.UKCalc.getTaxYears().map(y => y.id)), always: true },
+  code:     { key: 'taxCode',              parse: value => value.trim().slice(0, 12) || undefined },
+  pension:  { key: 'pensionValue',         parse: urlNumber() },
+  unit:     { key: 'pensionUnit',          parse: urlChoice(buttonValues('.unit-btn[data-unit]', 'unit')) },
+  scheme:   { key: 'pensionScheme',        parse: urlChoice(optionValues(els.pensionSchemeSelect)) },
+  basis:    { key: 'pensionBasis',         parse: urlChoice(optionValues(els.pensionBasisSelect)) },
+  employer: { key: 'employerPensionValue', parse: urlNumber(100) },
+  loan:     { key: 'studentLoan',          parse: urlChoice(optionValues(els.studentLoanSelect)) },
+  blind:    { key: 'blindPerson',          parse: urlFlag },
+  marriage: { key: 'marriageAllowance',    parse: urlFlag },
+  kids:     { key: 'children',             parse: value => (/^\d{1,2}$/.test(value) ? Number(value) : undefined) },
+  savings:  { key: 'savingsInterest',      parse: urlNumber(10000000) },
+  divs:     { key: 'dividends',            parse: urlNumber(10000000) },
+  age:      { key: 'age',                  parse: urlNumber(120) },
+  nicat:    { key: 'niCategory',           parse: urlChoice(optionValues(els.niCategorySelect)) },
+  ea:       { key: 'employmentAllowance',  parse: urlFlag },
+  levy:     { key: 'paysApprenticeshipLevy', parse: urlFlag },
+  show:     { key: 'resultsPeriod',        parse: urlChoice(buttonValues('.results-period-btn', 'resultsPeriod')) },
+};
+
+// Defaults are left out of the URL to keep links short. The tax year is always
+// written, so an old link doesn't move to a new year's rules when the default changes.
+const DEFAULT_STATE = { ...state };
+
+/**
+ * Load any valid inputs into state, leaving the rest as they are.
+ * @param {function} getValue  (param, key) => raw value, or null/undefined if not given
+ * @returns {boolean} true if anything was loaded
+ */
+function loadInputs(getValue) {
+  let loaded = false;
+
+  Object.entries(URL_PARAMS).forEach(([param, { key, parse }]) => {
+    const raw = getValue(param, key);
+    if (raw === null || raw === undefined) return;
+    const value = parse(typeof raw === 'boolean' ? String(Number(raw)) : String(raw));
+    if (value === undefined) return;
+    state[key] = value;
+    loaded = true;
+  });
+
+  // A percentage over 100 only makes sense as a fixed amount
+  if (state.pensionUnit === 'percent' && state.pensionValue > 100) {
+    state.pensionValue = DEFAULT_STATE.pensionValue;
+  }
+
+  return loaded;
+}
+
+/**
+ * Load any valid inputs from the query string into state.
+ * @returns {boolean} true if anything was loaded
+ */
+function readUrlState() {
+  const query = new URLSearchParams(window.location.search);
+  return loadInputs(param => query.get(param));
+}
+
+/**
+ * Replace the query string with the current inputs, without adding a history entry.
+ */
+function writeUrlState() {
+  const query = new URLSearchParams();
+
+  Object.entries(URL_PARAMS).forEach(([param, { key, always }]) => {
+    const value = state[key];
+    if (value === DEFAULT_STATE[key] && !always) return;
+    query.set(param, typeof value === 'boolean' ? Number(value) : value);
+  });
+
+  const search = query.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+}
 
-    // Close all open items
-    document.querySelectorAll('.faq-item.open').forEach(openItem => {
-      openItem.classList.remove('open');
-      openItem.querySelector('.faq-question').setAttribute('aria-expanded', 'false');
+/**
+ * Bring every control into line with state, e.g. after loading a shared link.
+ */
+function syncControls() {
+  const setActive = (selector, key, value) => {
+    document.querySelectorAll(selector).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset[key] === value);
+      if (btn.hasAttribute('aria-pressed')) btn.setAttribute('aria-pressed', btn.dataset[key] === value);
     });
+  };
+
+  els.salaryInput.value          = state.salaryAmount;
+  els.taxYearSelect.value        = state.taxYear;
+  els.taxCodeInput.value         = state.taxCode;
+  els.pensionInput.value         = state.pensionValue;
+  els.employerPensionInput.value = state.employerPensionValue;
+  els.pensionSchemeSelect.value  = state.pensionScheme;
+  els.pensionBasisSelect.value   = state.pensionBasis;
+  els.studentLoanSelect.value    = state.studentLoan;
+  els.blindAllowance.checked     = state.blindPerson;
+  els.marriageAllowance.checked  = state.marriageAllowance;
+  els.childrenInput.value        = state.children;
+  els.savingsInput.value         = state.savingsInterest;
+  els.dividendsInput.value       = state.dividends;
+  els.ageInput.value             = state.age === null ? '' : state.age;
+  els.niCategorySelect.value     = state.niCategory;
+  els.employmentAllowance.checked = state.employmentAllowance;
+  els.apprenticeshipLevy.checked = state.paysApprenticeshipLevy;
+
+  setActive('.period-btn', 'period', state.salaryPeriod);
+  setActive('.country-card', 'country', state.country);
+  setActive('.unit-btn[data-unit]', 'unit', state.pensionUnit);
+  setActive('.results-period-btn', 'resultsPeriod', state.resultsPeriod);
+  updateSalaryLabel();
+
+  // Show shared options rather than hiding them behind the accordion
+  const optionKeys = ['taxCode', 'pensionValue', 'pensionScheme', 'pensionBasis', 'employerPensionValue',
+    'studentLoan', 'blindPerson', 'marriageAllowance', 'children', 'savingsInterest', 'dividends',
+    'age', 'niCategory', 'employmentAllowance', 'paysApprenticeshipLevy'];
+  if (optionKeys.some(key => state[key] !== DEFAULT_STATE[key])) {
+    els.optionsAccordion.classList.add('open');
+    els.optionsToggle.setAttribute('aria-expanded', true);
+  }
+}
+
+/* ─────────────────────────────────────────────
+   SAVED SCENARIOS
+───────────────────────────────────────────── */
+
+const SCENARIO_STORAGE_KEY = 'paycalcuk.scenarios';
+const SCENARIO_FILE_VERSION = 1;
+
+/**
+ * Saved scenarios, oldest first. Returns [] if storage is unavailable or corrupt.
+ * @returns {Array<{ name: string, savedAt: string, inputs: object }>}
+ */
+function loadScenarios() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SCENARIO_STORAGE_KEY));
+    return validScenarios(saved && saved.scenarios);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * @param {Array} scenarios
+ * @returns {boolean} false if the browser refused to store them
+ */
+function storeScenarios(scenarios) {
+  try {
+    window.localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify({
+      version: SCENARIO_FILE_VERSION,
+      scenarios,
+    }));
+    return true;
+  } catch (err) {
+    setScenarioStatus('Your browser blocked saving — private browsing may be switched on.');
+    return false;
+  }
+}
+
+/**
+ * Keep only well-formed scenarios, e.g. from an imported file.
+ * Inputs themselves are checked when the scenario is loaded.
+ * @param {*} list
+ * @returns {Array}
+ */
+function validScenarios(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(item => item && typeof item.name === 'string' && item.name.trim()
+      && item.inputs && typeof item.inputs === 'object')
+    .map(item => ({
+      name:    item.name.trim().slice(0, 60),
+      savedAt: typeof item.savedAt === 'string' ? item.savedAt : new Date().toISOString(),
+      inputs:  item.inputs,
+    }));
+}
+
+// The inputs that make up a scenario — the same ones a shared link carries
+function currentInputs() {
+  return Object.fromEntries(Object.values(URL_PARAMS).map(({ key }) => [key, state[key]]));
+}
+
+function setScenarioStatus(message) {
+  els.scenarioStatus.textContent = message;
+}
+
+function renderScenarios() {
+  const fmt = window.UKCalc.formatCurrency;
+  const scenarios = loadScenarios();
+
+  els.scenarioEmpty.hidden = scenarios.length > 0;
+  els.exportScenariosBtn.disabled = scenarios.length === 0;
+  els.scenarioList.innerHTML = '';
+
+  scenarios.forEach((scenario, index) => {
+    const { salaryAmount, salaryPeriod, country, taxYear } = scenario.inputs;
+    const summary = [
+      salaryAmount !== undefined ? `${fmt(Number(salaryAmount) || 0)} ${SALARY_LABELS[salaryPeriod] ? salaryPeriod : ''}`.trim() : null,
+      COUNTRY_NAMES[country],
+      taxYear,
+    ].filter(Boolean).join(' · ');
+
+    const li = document.createElement('li');
+    li.className = 'scenario-item';
+    li.dataset.index = index;
+    li.innerHTML = `
+      <div class="scenario-item__text">
+        <input type="text" class="scenario-item__name" maxlength="60" aria-label="Scenario name">
+        <span class="scenario-item__summary"></span>
+      </div>
+      <button class="scenario-btn" type="button" data-action="load">Load</button>
+      <button class="scenario-btn scenario-btn--danger" type="button" data-action="delete">Delete</button>`;
+    li.querySelector('.scenario-item__name').value = scenario.name;
+    li.querySelector('.scenario-item__summary').textContent = summary;
+    els.scenarioList.appendChild(li);
+  });
+}
+
+/**
+ * Replace every input with a saved scenario's and recalculate.
+ * @param {object} scenario
+ */
+function applyScenario(scenario) {
+  Object.values(URL_PARAMS).forEach(({ key }) => {
+    state[key] = DEFAULT_STATE[key];
+  });
+  loadInputs((param, key) => scenario.inputs[key]);
+  syncControls();
+  runCalculation();
+}
+
+// Save — a name that's already in use is overwritten
+els.scenarioForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const name = els.scenarioNameInput.value.trim();
+  if (!name) {
+    els.scenarioNameInput.focus();
+    return;
+  }
+
+  const scenarios = loadScenarios();
+  const existing = scenarios.findIndex(s => s.name === name);
+  const scenario = { name, savedAt: new Date().toISOString(), inputs: currentInputs() };
+  if (existing >= 0) scenarios[existing] = scenario;
+  else scenarios.push(scenario);
+
+  if (storeScenarios(scenarios)) {
+    els.scenarioNameInput.value = '';
+    setScenarioStatus(existing >= 0 ? `Updated “${name}”.` : `Saved “${name}”.`);
+    renderScenarios();
+  }
+});
 
-    // Open clicked item if it was closed
-    if (!isOpen) {
-      item.classList.add('open');
-      question.setAttribute('aria-expanded', 'true');
+els.scenarioList.addEventListener('click', e => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const scenarios = loadScenarios();
+  const index = Number(btn.closest('.scenario-item').dataset.index);
+  const scenario = scenarios[index];
+  if (!scenario) return;
+
+  if (btn.dataset.action === 'load') {
+    applyScenario(scenario);
+    setScenarioStatus(`Loaded “${scenario.name}”.`);
+  } else if (btn.dataset.action === 'delete') {
+    scenarios.splice(index, 1);
+    if (storeScenarios(scenarios)) {
+      setScenarioStatus(`Deleted “${scenario.name}”.`);
+      renderScenarios();
     }
+  }
+});
+
+// Rename in place
+els.scenarioList.addEventListener('change', e => {
+  if (!e.target.classList.contains('scenario-item__name')) return;
+  const scenarios = loadScenarios();
+  const index = Number(e.target.closest('.scenario-item').dataset.index);
+  const name = e.target.value.trim();
+  if (!scenarios[index] || !name) {
+    renderScenarios();
+    return;
+  }
+
+  scenarios[index].name = name;
+  if (storeScenarios(scenarios)) setScenarioStatus(`Renamed to “${name}”.`);
+  renderScenarios();
+});
+
+els.exportScenariosBtn.addEventListener('click', () => {
+  const file = JSON.stringify({ version: SCENARIO_FILE_VERSION, scenarios: loadScenarios() }, null, 2);
+  downloadFile(file, 'salary-scenarios.json', 'application/json');
+});
+
+els.importScenariosBtn.addEventListener('click', () => {
+  els.importScenariosInput.click();
+});
+
+// Import — scenarios with the same name as a saved one replace it
+els.importScenariosInput.addEventListener('change', async () => {
+  const [file] = els.importScenariosInput.files;
+  els.importScenariosInput.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    const parsed = JSON.parse(await file.text());
+    imported = validScenarios(Array.isArray(parsed) ? parsed : parsed.scenarios);
+  } catch (err) {
+    imported = [];
+  }
+  if (imported.length === 0) {
+    setScenarioStatus('No scenarios found in that file.');
+    return;
+  }
+
+  const scenarios = loadScenarios();
+  imported.forEach(scenario => {
+    const existing = scenarios.findIndex(s => s.name === scenario.name);
+    if (existing >= 0) scenarios[existing] = scenario;
+    else scenarios.push(scenario);
   });
+
+  if (storeScenarios(scenarios)) {
+    setScenarioStatus(`Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}.`);
+    renderScenarios();
+  }
 });
 
 /* ─────────────────────────────────────────────
-   SMOOTH SCROLL FOR NAV LINKS
+   PRINTABLE SUMMARY
 ───────────────────────────────────────────── */
 
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-  anchor.addEventListener('click', e => {
-    const target = document.querySelector(anchor.getAttribute('href'));
-    if (target) {
-      e.preventDefault();
-      const navHeight = document.querySelector('.nav-wrapper').offsetHeight;
-      const top = target.getBoundingClientRect().top + window.scrollY - navHeight - 16;
-      window.scrollTo({ top, behavior: 'smooth' });
-    }
+/**
+ * Fill the payslip-style summary from the latest results. It's hidden on
+ * screen and replaces the page when printed, so "Save as PDF" in the print
+ * dialog gives a one-page document without anything leaving the browser.
+ */
+function renderPrintSummary() {
+  const r = state.results;
+  if (!r) return;
+
+  const fmt = value => window.UKCalc.formatCurrency(value, true);
+  const selectedText = select => select.options[select.selectedIndex].textContent;
+
+  els.printTaxYear.textContent = `${r.taxYear}${r.provisional ? ' (provisional)' : ''}`;
+  els.printDate.textContent = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+  // Label, [annual, monthly, weekly], optional row class
+  const rows = [
+    ['Gross pay',          [r.grossAnnual, r.grossMonthly, r.grossWeekly]],
+  ];
+  if (r.savingsInterest > 0) {
+    rows.push(['Savings interest', [r.savingsInterest, r.savingsInterest / 12, r.savingsInterest / 52]]);
+  }
+  if (r.dividends > 0) {
+    rows.push(['Dividends', [r.dividends, r.dividends / 12, r.dividends / 52]]);
+  }
+  rows.push(
+    ['Income tax',         [-r.incomeTax, -r.taxMonthly, -r.taxWeekly]],
+    ['National Insurance', [-r.ni, -r.niMonthly, -r.niWeekly]],
+  );
+  if (r.pensionAnnual > 0) {
+    rows.push(['Pension', [-r.pensionAnnual, -r.pensionMonthly, -r.pensionWeekly]]);
+  }
+  if (r.studentLoanRepayment > 0) {
+    rows.push(['Student loan', [-r.studentLoanRepayment, -r.loanMonthly, -r.loanWeekly]]);
+  }
+  rows.push(['Take-home pay', [r.takeHome, r.takeHomeMonthly, r.takeHomeWeekly], 'print-summary__total']);
+  if (r.employerPensionAnnual > 0) {
+    const employer = r.employerPensionAnnual;
+    rows.push(['Employer pension (not deducted)', [employer, employer / 12, employer / 52], 'print-summary__memo']);
+  }
+
+  els.printRows.innerHTML = '';
+  rows.forEach(([label, amounts, className]) => {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    [label, ...amounts.map(amount => `${amount < 0 ? '−' : ''}${fmt(amount)}`)].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    els.printRows.appendChild(tr);
+  });
+
+  const pension = state.pensionValue > 0
+    ? `${state.pensionUnit === 'percent' ? `${state.pensionValue}% of ${selectedText(els.pensionBasisSelect).toLowerCase()}` : `${fmt(state.pensionValue)} a year`}, ${selectedText(els.pensionSchemeSelect).toLowerCase()}`
+    : 'None';
+  const allowances = [
+    state.blindPerson && 'Blind Person\'s Allowance',
+    state.marriageAllowance && 'Marriage Allowance received',
+  ].filter(Boolean);
+
+  const assumptions = [
+    ['Salary entered', `${fmt(state.salaryAmount)} (${SALARY_LABELS[state.salaryPeriod].toLowerCase()})`],
+    ['Tax rates',      COUNTRY_NAMES[r.taxCountry]],
+    ['Tax code',       r.taxCode && r.taxCode.valid ? r.taxCode.code : 'Standard code for the year'],
+    ['Personal allowance', fmt(r.personalAllowance)],
+    ['Pension',        pension],
+    ['Employer pension', state.employerPensionValue > 0 ? `${state.employerPensionValue}%` : 'None'],
+    ['Student loan',   selectedText(els.studentLoanSelect)],
+    ['Allowances',     allowances.length
+      ? `${allowances.join(', ')}${r.taxCode && r.taxCode.valid ? ' (already in the tax code)' : ''}`
+      : 'None'],
+    ['Effective rate', window.UKCalc.formatPercent(r.effectiveTaxRate)],
+  ];
+
+  els.printAssumptions.innerHTML = '';
+  assumptions.forEach(([term, detail]) => {
+    const dt = document.createElement('dt');
+    const dd = document.createElement('dd');
+    dt.textContent = term;
+    dd.textContent = detail;
+    els.printAssumptions.append(dt, dd);
   });
+
+  els.printLink.textContent = window.location.href;
+}
+
+els.printSummaryBtn.addEventListener('click', () => {
+  renderPrintSummary();
+  window.print();
 });
 
+// Also covers printing from the browser menu
+window.addEventListener('beforeprint', renderPrintSummary);
+
 /* ─────────────────────────────────────────────
-   STICKY NAV SHADOW
+   EXPORT
 ───────────────────────────────────────────── */
 
-window.addEventListener('scroll', () => {
-  const nav = document.querySelector('.nav-wrapper');
-  if (window.scrollY > 10) {
-    nav.style.boxShadow = '0 1px 0 rgba(0,0,0,0.06), 0 4px 16px rgba(0,0,0,0.06)';
-  } else {
-    nav.style.boxShadow = '';
-  }
-}, { passive: true });
+// e.g. salary-35000-england-2025-26
+function exportFilename() {
+  return `salary-${Math.round(state.salaryAmount)}-${state.country}-${state.results.taxYear.replace('/', '-')}`;
+}
+
+els.exportCsvBtn.addEventListener('click', () => {
+  if (!state.results) return;
+  downloadFile(window.UKCalc.resultToCSV(state.results), `${exportFilename()}.csv`, 'text/csv');
+});
+
+els.exportJsonBtn.addEventListener('click', () => {
+  if (!state.results) return;
+  downloadFile(window.UKCalc.resultToJSON(state.results, calculationParams()), `${exportFilename()}.json`, 'application/json');
+});
 
 /* ─────────────────────────────────────────────
    INITIALISE
 ───────────────────────────────────────────── */
 
+renderScenarios();
+
+// Restore a shared calculation from the URL
+if (readUrlState()) {
+  syncControls();
+}
+
 // Run initial calculation on page load
 document.addEventListener('DOMContentLoaded', () => {
   runCalculation();
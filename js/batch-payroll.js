@@ -0,0 +1,207 @@
+/**
+ * PayCalcUK — Batch Payroll Controller
+ * Reads an uploaded or pasted CSV of employees and shows the payroll estimate
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:       window.UKCalc.TAX_YEAR,
+  pensionScheme: 'sacrifice',
+  employmentAllowance: false,
+  batch:         null,
+};
+
+const TEMPLATE_CSV = 'name,salary,region,pension_pct,employer_pension_pct,student_loan,tax_code,ni_category\r\n'
+  + 'Example Employee,30000,England,5,3,none,1257L,A\r\n';
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  taxYearSelect:       $('taxYearSelect'),
+  pensionSchemeSelect: $('pensionSchemeSelect'),
+  employmentAllowance: $('employmentAllowance'),
+  csvFileInput:        $('csvFileInput'),
+  csvTextInput:        $('csvTextInput'),
+  templateBtn:         $('templateBtn'),
+  downloadBtn:         $('downloadBtn'),
+
+  // Results
+  batchErrors:         $('batchErrors'),
+  batchErrorsTitle:    $('batchErrorsTitle'),
+  batchErrorsList:     $('batchErrorsList'),
+  summaryEmployees:    $('summaryEmployees'),
+  summaryPaye:         $('summaryPaye'),
+  summaryNI:           $('summaryNI'),
+  summaryTakeHome:     $('summaryTakeHome'),
+  summaryEmployerCost: $('summaryEmployerCost'),
+  batchNote:           $('batchNote'),
+  batchBody:           $('batchBody'),
+  batchFoot:           $('batchFoot'),
+};
+
+const REGION_NAMES = {
+  england:  'England',
+  scotland: 'Scotland',
+  wales:    'Wales',
+  ni:       'Northern Ireland',
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  state.batch = window.UKCalc.calculatePayrollBatch(els.csvTextInput.value, {
+    taxYear:       state.taxYear,
+    pensionScheme: state.pensionScheme,
+    employmentAllowance: state.employmentAllowance,
+  });
+  renderResults(state.batch);
+}
+
+function renderResults(batch) {
+  const fmt = window.UKCalc.formatCurrency;
+  const money = value => (value === undefined ? '—' : fmt(value, true));
+
+  renderErrors(batch);
+
+  const totals = batch.totals || {};
+  els.summaryEmployees.textContent    = batch.invalid ? `${batch.valid} of ${batch.valid + batch.invalid}` : batch.valid;
+  els.summaryPaye.textContent         = fmt(totals.paye || 0);
+  els.summaryNI.textContent           = fmt(totals.employee_ni || 0);
+  els.summaryTakeHome.textContent     = fmt(totals.take_home || 0);
+  els.summaryEmployerCost.textContent = fmt(batch.totalCost || 0);
+
+  els.batchNote.textContent = `Tax year ${batch.taxYear} · ${batch.valid} employee${batch.valid === 1 ? '' : 's'}`;
+  els.downloadBtn.disabled = batch.employees.length === 0;
+
+  els.batchBody.innerHTML = '';
+  batch.employees.forEach(employee => {
+    const invalid = employee.errors.length > 0;
+    const tr = document.createElement('tr');
+    if (invalid) tr.className = 'is-invalid';
+
+    const cells = [
+      [employee.line],
+      [employee.name || '—'],
+      [REGION_NAMES[employee.region] || employee.region],
+      [employee.tax_code || (invalid ? '' : 'Standard')],
+      [employee.ni_category],
+      [employee.salary === null ? '—' : fmt(employee.salary), 'num'],
+      ...['paye', 'employee_ni', 'pension', 'student_loan', 'take_home', 'employer_ni', 'employer_pension', 'employer_cost']
+        .map(col => [money(employee[col]), 'num']),
+    ];
+    cells.forEach(([text, className]) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (className) td.className = className;
+      tr.appendChild(td);
+    });
+    if (invalid) tr.title = employee.errors.join(' ');
+    els.batchBody.appendChild(tr);
+  });
+
+  // Payroll-wide lines go under the employer cost column
+  const payrollRow = (label, amount) => `
+    <tr>
+      <td colspan="13">${label}</td>
+      <td class="num">${amount}</td>
+    </tr>`;
+
+  els.batchFoot.innerHTML = batch.valid ? `
+    <tr>
+      <td colspan="5">Total (${batch.valid} employee${batch.valid === 1 ? '' : 's'})</td>
+      <td class="num">${fmt(totals.salary)}</td>
+      <td class="num">${money(totals.paye)}</td>
+      <td class="num">${money(totals.employee_ni)}</td>
+      <td class="num">${money(totals.pension)}</td>
+      <td class="num">${money(totals.student_loan)}</td>
+      <td class="num">${money(totals.take_home)}</td>
+      <td class="num">${money(totals.employer_ni)}</td>
+      <td class="num">${money(totals.employer_pension)}</td>
+      <td class="num">${money(totals.employer_cost)}</td>
+    </tr>
+    ${batch.employmentAllowanceUsed ? payrollRow('Employment Allowance', `−${money(batch.employmentAllowanceUsed)}`) : ''}
+    ${batch.apprenticeshipLevy ? payrollRow('Apprenticeship Levy', `+${money(batch.apprenticeshipLevy)}`) : ''}
+    ${payrollRow('Total cost of employment', money(batch.totalCost))}` : '';
+}
+
+function renderErrors(batch) {
+  const problems = batch.error
+    ? [batch.error]
+    : batch.employees
+      .filter(employee => employee.errors.length)
+      .map(employee => `Line ${employee.line}${employee.name ? ` (${employee.name})` : ''}: ${employee.errors.join(' ')}`);
+
+  els.batchErrors.hidden = problems.length === 0;
+  els.batchErrorsTitle.textContent = batch.error
+    ? 'This file can\'t be read'
+    : `${batch.invalid} row${batch.invalid === 1 ? '' : 's'} left out of the totals`;
+
+  els.batchErrorsList.innerHTML = '';
+  problems.forEach(problem => {
+    const li = document.createElement('li');
+    li.textContent = problem;
+    els.batchErrorsList.appendChild(li);
+  });
+}
+
+/* ─────────────────────────────────────────────
+   FILES
+───────────────────────────────────────────── */
+
+els.csvFileInput.addEventListener('change', async () => {
+  const [file] = els.csvFileInput.files;
+  els.csvFileInput.value = '';
+  if (!file) return;
+
+  els.csvTextInput.value = await file.text();
+  runCalculation();
+});
+
+els.templateBtn.addEventListener('click', () => {
+  downloadFile(TEMPLATE_CSV, 'payroll-template.csv', 'text/csv');
+});
+
+els.downloadBtn.addEventListener('click', () => {
+  if (!state.batch || !state.batch.employees.length) return;
+  downloadFile(window.UKCalc.payrollBatchToCSV(state.batch), `payroll-estimate-${state.batch.taxYear.replace('/', '-')}.csv`, 'text/csv');
+});
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.csvTextInput.addEventListener('input', runCalculation);
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+els.employmentAllowance.addEventListener('change', () => {
+  state.employmentAllowance = els.employmentAllowance.checked;
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
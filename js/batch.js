@@ -0,0 +1,362 @@
+/**
+ * PayCalcUK — Batch Payroll Engine
+ * Runs a CSV of employees through the annual UK calculation.
+ * Requires js/calculator.js (window.UKCalc).
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   CONSTANTS
+───────────────────────────────────────────── */
+
+// Largest file we'll work through in one go
+const BATCH_MAX_ROWS = 5000;
+
+// Input columns and the header names accepted for each (compared without case, spaces or punctuation)
+const BATCH_INPUT_COLUMNS = {
+  name:            ['name', 'employee', 'employeename', 'id', 'employeeid'],
+  salary:          ['salary', 'annualsalary', 'gross', 'grosssalary', 'pay'],
+  region:          ['region', 'country', 'taxregion'],
+  pensionValue:    ['pension', 'pensionpct', 'pensionpercent', 'employeepension', 'employeepensionpct'],
+  employerPension: ['employerpension', 'employerpensionpct', 'employerpensionpercent'],
+  studentLoan:     ['studentloan', 'studentloanplan', 'loan', 'loanplan', 'plan'],
+  taxCode:         ['taxcode', 'code'],
+  niCategory:      ['nicategory', 'nicategoryletter', 'niletter', 'category'],
+  age:             ['age', 'ageyears'],
+};
+
+const BATCH_REGIONS = {
+  england:         'england',
+  scotland:        'scotland',
+  wales:           'wales',
+  ni:              'ni',
+  nireland:        'ni',
+  northernireland: 'ni',
+};
+
+const BATCH_STUDENT_LOANS = {
+  '':           'none',
+  none:         'none',
+  no:           'none',
+  plan1:        'plan1',
+  1:            'plan1',
+  plan2:        'plan2',
+  2:            'plan2',
+  plan4:        'plan4',
+  4:            'plan4',
+  plan5:        'plan5',
+  5:            'plan5',
+  postgrad:     'postgrad',
+  postgraduate: 'postgrad',
+  pg:           'postgrad',
+  pgl:          'postgrad',
+};
+
+// Output columns, in order
+const BATCH_OUTPUT_COLUMNS = [
+  'line', 'name', 'salary', 'region', 'tax_code', 'ni_category', 'paye', 'employee_ni', 'pension',
+  'student_loan', 'take_home', 'employer_ni', 'employer_pension', 'employer_cost', 'errors',
+];
+
+// Output columns added up for the payroll totals
+const BATCH_TOTAL_COLUMNS = [
+  'salary', 'paye', 'employee_ni', 'pension', 'student_loan', 'take_home',
+  'employer_ni', 'employer_pension', 'employer_cost',
+];
+
+/* ─────────────────────────────────────────────
+   CSV
+───────────────────────────────────────────── */
+
+/**
+ * Read CSV text into rows of cells (RFC 4180 quoting; commas, CRLF or LF).
+ * Blank lines are dropped; each row keeps the line number it started on.
+ * @param {string} text
+ * @returns {Array<{line: number, cells: string[]}>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length) endRow();
+
+  return rows;
+}
+
+/**
+ * Write rows as CSV, quoting only where needed.
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+function toCSV(rows) {
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(cells => cells.map(cell).join(',')).join('\r\n');
+}
+
+/* ─────────────────────────────────────────────
+   BATCH CALCULATION
+───────────────────────────────────────────── */
+
+// 'Employer Pension %' → 'employerpension'
+function normaliseHeader(header) {
+  return header.toLowerCase().replace(/%/g, 'pct').replace(/[^a-z0-9]/g, '');
+}
+
+// '£45,000.50' → 45000.5; blank → null; anything else unreadable → NaN
+function readNumber(value) {
+  const text = String(value).replace(/[£,%\s]/g, '');
+  return text === '' ? null : Number(text);
+}
+
+/**
+ * Check one employee's cells and turn them into calculate() params.
+ * @param {object} raw    Cell text keyed by BATCH_INPUT_COLUMNS key
+ * @param {object} rules  Tax year rules
+ * @returns {{ input: object, errors: string[] }}
+ */
+function readEmployee(raw, rules) {
+  const errors = [];
+  const calc = window.UKCalc;
+
+  const salary = readNumber(raw.salary || '');
+  if (salary === null) errors.push('Salary is missing.');
+  else if (!Number.isFinite(salary) || salary < 0) errors.push(`Salary "${raw.salary}" isn't a positive amount.`);
+
+  const regionKey = normaliseHeader(raw.region || 'england');
+  const region = BATCH_REGIONS[regionKey];
+  if (!region) errors.push(`Region "${raw.region}" should be England, Scotland, Wales or Northern Ireland.`);
+
+  const percent = (value, label) => {
+    const n = readNumber(value || '');
+    if (n === null) return 0;
+    if (!Number.isFinite(n) || n < 0 || n > 100) errors.push(`${label} "${value}" should be a percentage from 0 to 100.`);
+    return n;
+  };
+  const pensionValue = percent(raw.pensionValue, 'Pension');
+  const employerPensionValue = percent(raw.employerPension, 'Employer pension');
+
+  // Several plans can be given together, e.g. 'plan2+postgrad'
+  const loanPlans = (raw.studentLoan || '').split('+').map(plan => BATCH_STUDENT_LOANS[normaliseHeader(plan)]);
+  const studentLoan = loanPlans.filter(plan => plan !== 'none').join('+') || 'none';
+  if (loanPlans.some(plan => !plan || (plan !== 'none' && !rules.studentLoanPlans[plan]))) {
+    errors.push(`Student loan "${raw.studentLoan}" should be none, plan1, plan2, plan4, plan5 (from 2026/27) or postgrad, or plans joined with +, e.g. plan2+postgrad.`);
+  }
+
+  const taxCode = (raw.taxCode || '').trim();
+  if (taxCode) {
+    const code = calc.parseTaxCode(taxCode);
+    if (!code.valid) errors.push(code.error);
+  }
+
+  const niCategory = (raw.niCategory || 'A').trim().toUpperCase();
+  if (!calc.NI_CATEGORIES[niCategory]) {
+    errors.push(`NI category "${raw.niCategory}" should be ${Object.keys(calc.NI_CATEGORIES).join(', ')}.`);
+  }
+
+  const age = readNumber(raw.age || '');
+  if (age !== null && (!Number.isInteger(age) || age < 0 || age > 120)) {
+    errors.push(`Age "${raw.age}" should be a whole number of years.`);
+  }
+
+  return {
+    input: {
+      salaryAmount: salary,
+      salaryPeriod: 'annual',
+      country:      region,
+      pensionValue,
+      pensionUnit:  'percent',
+      employerPensionValue,
+      studentLoan,
+      taxCode,
+      niCategory,
+      age,
+    },
+    errors,
+  };
+}
+
+/**
+ * Work out take-home pay and employer costs for every employee in a CSV.
+ * Rows with bad inputs are reported and left out of the totals.
+ *
+ * Employer NI and employer cost per employee are before the Employment
+ * Allowance; the allowance and the Apprenticeship Levy apply to the whole
+ * pay bill and are worked out once for the payroll.
+ *
+ * @param {string} text  CSV with a header row; see BATCH_INPUT_COLUMNS
+ * @param {object} [options]
+ * @param {string} [options.taxYear]
+ * @param {string} [options.pensionScheme]  Applied to every employee (default 'sacrifice')
+ * @param {boolean} [options.employmentAllowance]  Claim the Employment Allowance
+ *
+ * @returns {object} { taxYear, employees: [...], totals, employmentAllowanceUsed,
+ *                     apprenticeshipLevy, totalCost, valid, invalid, error? }
+ */
+function calculatePayrollBatch(text, options = {}) {
+  const { taxYear, pensionScheme = 'sacrifice', employmentAllowance = false } = options;
+  const calc = window.UKCalc;
+  const rules = calc.getTaxYearRules(taxYear);
+
+  const [header, ...rows] = parseCSV(text);
+  if (!header) {
+    return { taxYear: rules.label, employees: [], totals: null, valid: 0, invalid: 0, error: 'The file is empty.' };
+  }
+
+  // Match header cells to input columns
+  const columnIndex = {};
+  header.cells.forEach((title, index) => {
+    const key = Object.keys(BATCH_INPUT_COLUMNS)
+      .find(col => BATCH_INPUT_COLUMNS[col].includes(normaliseHeader(title)));
+    if (key && !(key in columnIndex)) columnIndex[key] = index;
+  });
+  if (!('salary' in columnIndex)) {
+    return {
+      taxYear: rules.label, employees: [], totals: null, valid: 0, invalid: 0,
+      error: 'No salary column found. The first row must be a header such as name,salary,region,pension,student_loan,tax_code.',
+    };
+  }
+  if (rows.length > BATCH_MAX_ROWS) {
+    return {
+      taxYear: rules.label, employees: [], totals: null, valid: 0, invalid: 0,
+      error: `The file has ${rows.length.toLocaleString('en-GB')} employees — the limit is ${BATCH_MAX_ROWS.toLocaleString('en-GB')}.`,
+    };
+  }
+
+  const pence = value => Math.round(value * 100) / 100;
+  const totals = Object.fromEntries(BATCH_TOTAL_COLUMNS.map(col => [col, 0]));
+  let payBill = 0;
+  let valid = 0;
+
+  const employees = rows.map(({ line, cells }) => {
+    const raw = Object.fromEntries(Object.entries(columnIndex).map(([key, index]) => [key, cells[index] || '']));
+    const { input, errors } = readEmployee(raw, rules);
+    const output = {
+      line,
+      name:     raw.name || '',
+      salary:   Number.isFinite(input.salaryAmount) ? input.salaryAmount : null,
+      region:   input.country || raw.region || '',
+      tax_code: input.taxCode,
+      ni_category: input.niCategory,
+      errors,
+    };
+    if (errors.length) return output;
+
+    const r = calc.calculate({ ...input, taxYear, pensionScheme });
+    Object.assign(output, {
+      tax_code:         r.taxCode && r.taxCode.valid ? r.taxCode.code : '',
+      ni_category:      r.niCategory,
+      paye:             pence(r.incomeTax),
+      employee_ni:      pence(r.ni),
+      pension:          pence(r.pensionAnnual),
+      student_loan:     pence(r.studentLoanRepayment),
+      take_home:        pence(r.takeHome),
+      employer_ni:      pence(r.employerNIDue),
+      employer_pension: pence(r.employerPensionAnnual),
+      employer_cost:    pence(r.grossAnnual + r.employerPensionAnnual + r.employerNIDue),
+      result:           r,
+    });
+
+    BATCH_TOTAL_COLUMNS.forEach(col => { totals[col] = pence(totals[col] + output[col]); });
+    payBill += r.grossAnnual - (pensionScheme === 'sacrifice' ? r.pensionContribution : 0);
+    valid++;
+    return output;
+  });
+
+  const employmentAllowanceUsed = employmentAllowance
+    ? Math.min(totals.employer_ni, rules.employerNI.employmentAllowance)
+    : 0;
+  const apprenticeshipLevy = pence(calc.calcApprenticeshipLevy(payBill));
+
+  return {
+    taxYear: rules.label,
+    employees,
+    totals,
+    employmentAllowanceUsed,
+    apprenticeshipLevy,
+    totalCost: pence(totals.employer_cost - employmentAllowanceUsed + apprenticeshipLevy),
+    valid,
+    invalid: employees.length - valid,
+  };
+}
+
+/**
+ * The batch results as CSV — one row per employee in BATCH_OUTPUT_COLUMNS
+ * order, then a TOTAL row, then rows for the Employment Allowance, the
+ * Apprenticeship Levy and the total cost of employment. Rows with errors keep
+ * their inputs, have blank figures and list the problems in the errors column.
+ * @param {object} batch  calculatePayrollBatch() result
+ * @returns {string}
+ */
+function payrollBatchToCSV(batch) {
+  const rows = batch.employees.map(employee => BATCH_OUTPUT_COLUMNS.map(col => (
+    col === 'errors' ? employee.errors.join(' ') : employee[col]
+  )));
+  const total = BATCH_OUTPUT_COLUMNS.map(col => (
+    col === 'name' ? 'TOTAL' : BATCH_TOTAL_COLUMNS.includes(col) ? batch.totals[col] : ''
+  ));
+  const payrollRow = (name, values) => BATCH_OUTPUT_COLUMNS.map(col => (col === 'name' ? name : values[col]));
+
+  return toCSV([
+    BATCH_OUTPUT_COLUMNS,
+    ...rows,
+    total,
+    payrollRow('Employment Allowance', {
+      employer_ni:   -batch.employmentAllowanceUsed,
+      employer_cost: -batch.employmentAllowanceUsed,
+    }),
+    payrollRow('Apprenticeship Levy', { employer_cost: batch.apprenticeshipLevy }),
+    payrollRow('TOTAL COST OF EMPLOYMENT', { employer_cost: batch.totalCost }),
+  ]);
+}
+
+// Export alongside the main engine
+Object.assign(window.UKCalc, {
+  parseCSV,
+  calculatePayrollBatch,
+  payrollBatchToCSV,
+  BATCH_INPUT_COLUMNS,
+  BATCH_OUTPUT_COLUMNS,
+});
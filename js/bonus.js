@@ -0,0 +1,249 @@
+/**
+ * PayCalcUK — Bonus Calculator Controller
+ * Compares the deductions on a bonus payslip with what the bonus costs by the year end
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:       window.UKCalc.TAX_YEAR,
+  salary:        45000,
+  bonus:         10000,
+  month:         3,
+  country:       'england',
+  taxCode:       '',
+  pensionValue:  0,
+  pensionScheme: 'sacrifice',
+  studentLoan:   'none',
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  salaryInput:          $('salaryInput'),
+  bonusInput:           $('bonusInput'),
+  monthSelect:          $('monthSelect'),
+  countrySelect:        $('countrySelect'),
+  taxCodeInput:         $('taxCodeInput'),
+  taxCodeHint:          $('taxCodeHint'),
+  taxYearSelect:        $('taxYearSelect'),
+  pensionInput:         $('pensionInput'),
+  pensionSchemeSelect:  $('pensionSchemeSelect'),
+  studentLoanSelect:    $('studentLoanSelect'),
+
+  // Results
+  bonusKept:            $('bonusKept'),
+  bonusKeptNote:        $('bonusKeptNote'),
+  payslipLabel:         $('payslipLabel'),
+  payslipGross:         $('payslipGross'),
+  payslipTax:           $('payslipTax'),
+  payslipNI:            $('payslipNI'),
+  payslipPension:       $('payslipPension'),
+  payslipLoan:          $('payslipLoan'),
+  payslipNet:           $('payslipNet'),
+  payslipPensionRow:    $('payslipPensionRow'),
+  payslipLoanRow:       $('payslipLoanRow'),
+  bonusNotes:           $('bonusNotes'),
+  marginalRateBefore:   $('marginalRateBefore'),
+  effectiveRateOnBonus: $('effectiveRateOnBonus'),
+  settlementLabel:      $('settlementLabel'),
+  settlementAmount:     $('settlementAmount'),
+  comparisonNote:       $('comparisonNote'),
+  comparisonBody:       $('comparisonBody'),
+};
+
+const TAX_CODE_HINT = els.taxCodeHint.textContent;
+
+// PAYE's extra £9 of free pay alone moves the year's tax by a few pounds,
+// so differences below this are treated as settled
+const SETTLEMENT_TOLERANCE = 5;
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  const result = window.UKCalc.calculateBonus({
+    taxYear:       state.taxYear,
+    salary:        state.salary,
+    bonus:         state.bonus,
+    month:         state.month,
+    country:       state.country,
+    taxCode:       state.taxCode,
+    pensionValue:  state.pensionValue,
+    pensionScheme: state.pensionScheme,
+    studentLoan:   state.studentLoan,
+  });
+
+  if (result.error) {
+    els.taxCodeHint.textContent = result.error;
+    els.taxCodeInput.setAttribute('aria-invalid', 'true');
+    return;
+  }
+
+  els.taxCodeHint.textContent = TAX_CODE_HINT;
+  els.taxCodeInput.removeAttribute('aria-invalid');
+  renderResults(result);
+}
+
+function renderResults(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const fmtPct = window.UKCalc.formatPercent;
+  const signed = value => `${value < 0 ? '−' : ''}${fmt(value)}`;
+
+  // Hero: what's left once the year is settled
+  els.bonusKept.textContent     = signed(r.yearEnd.net);
+  els.bonusKeptNote.textContent = `of ${fmt(r.bonus)}, once the tax year is settled`;
+
+  // Bonus payslip
+  els.payslipLabel.textContent   = `On Your Month ${r.month} Payslip`;
+  els.payslipGross.textContent   = fmt(r.bonus);
+  els.payslipTax.textContent     = `−${fmt(r.payslip.tax)}`;
+  els.payslipNI.textContent      = `−${fmt(r.payslip.ni)}`;
+  els.payslipPension.textContent = `−${fmt(r.payslip.pension)}`;
+  els.payslipLoan.textContent    = `−${fmt(r.payslip.studentLoan)}`;
+  els.payslipNet.textContent     = signed(r.payslip.net);
+
+  els.payslipPensionRow.style.display = r.payslip.pension > 0 ? 'flex' : 'none';
+  els.payslipLoanRow.style.display    = r.payslip.studentLoan > 0 ? 'flex' : 'none';
+
+  // Rate cards
+  els.marginalRateBefore.textContent   = `${Math.round(r.marginalRateBefore)}%`;
+  els.effectiveRateOnBonus.textContent = fmtPct(r.effectiveRateOnBonus);
+
+  const owed = r.settlement.tax;
+  if (owed > SETTLEMENT_TOLERANCE) {
+    els.settlementLabel.textContent  = 'Tax Owed After Year End';
+    els.settlementAmount.textContent = fmt(owed);
+  } else if (owed < -SETTLEMENT_TOLERANCE) {
+    els.settlementLabel.textContent  = 'Tax Refund After Year End';
+    els.settlementAmount.textContent = fmt(owed);
+  } else {
+    els.settlementLabel.textContent  = 'Settled After Year End';
+    els.settlementAmount.textContent = fmt(0);
+  }
+
+  els.bonusNotes.textContent = buildNotes(r).join(' ');
+
+  // Payslip vs year end table
+  els.comparisonNote.textContent = `Tax year ${r.taxYear} · Tax code ${r.taxCode.code}`;
+  const rows = [
+    ['Income Tax',         'tax'],
+    ['National Insurance', 'ni'],
+    ['Pension',            'pension'],
+    ['Student Loan',       'studentLoan'],
+  ];
+  els.comparisonBody.innerHTML = rows.map(([label, key]) => `
+    <tr>
+      <td>${label}</td>
+      <td class="num">${fmt(r.payslip[key], true)}</td>
+      <td class="num">${fmt(r.taxYearPaye[key], true)}</td>
+      <td class="num">${fmt(r.yearEnd[key], true)}</td>
+    </tr>`).join('') + `
+    <tr>
+      <td><strong>You Keep</strong></td>
+      <td class="num"><strong>${signed(r.payslip.net)}</strong></td>
+      <td class="num"><strong>${signed(r.taxYearPaye.net)}</strong></td>
+      <td class="num"><strong>${signed(r.yearEnd.net)}</strong></td>
+    </tr>`;
+}
+
+/**
+ * Plain-English notes on why the payslip and year-end figures differ.
+ * @param {object} r  Result of UKCalc.calculateBonus()
+ * @returns {string[]}
+ */
+function buildNotes(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const notes = [];
+
+  if (r.personalAllowanceLost > 0) {
+    notes.push(`The bonus takes your income over £100,000, so you lose ${fmt(r.personalAllowanceLost)} of Personal Allowance.`);
+  }
+  if (r.bandBefore && r.bandAfter && r.bandBefore !== r.bandAfter) {
+    notes.push(`Part of the bonus is taxed at the ${r.bandAfter.toLowerCase()}, above your usual ${r.bandBefore.toLowerCase()}.`);
+  }
+
+  const catchUp = r.payslip.tax - r.taxYearPaye.tax;
+  if (catchUp > SETTLEMENT_TOLERANCE) {
+    notes.push(`Your bonus payslip takes ${fmt(catchUp)} more tax than the bonus costs over the year — later payslips take less to even it out.`);
+  } else if (catchUp < -SETTLEMENT_TOLERANCE) {
+    notes.push(`Your bonus payslip takes ${fmt(-catchUp)} less tax than the bonus costs over the year — later payslips take more to catch up.`);
+  }
+
+  if (r.settlement.tax > SETTLEMENT_TOLERANCE) {
+    notes.push(`PAYE under-collects ${fmt(r.settlement.tax)} of tax. HMRC usually collects it through next year's tax code or a Self Assessment return.`);
+  } else if (r.settlement.tax < -SETTLEMENT_TOLERANCE) {
+    notes.push(`PAYE over-collects ${fmt(-r.settlement.tax)} of tax, which HMRC refunds after the year end.`);
+  }
+  if (r.settlement.studentLoan < -SETTLEMENT_TOLERANCE) {
+    notes.push(`Your income for the year is under the student loan threshold, so the ${fmt(-r.settlement.studentLoan)} taken can be reclaimed.`);
+  }
+
+  return notes;
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.salaryInput.addEventListener('input', () => {
+  state.salary = parseFloat(els.salaryInput.value) || 0;
+  runCalculation();
+});
+
+els.bonusInput.addEventListener('input', () => {
+  state.bonus = parseFloat(els.bonusInput.value) || 0;
+  runCalculation();
+});
+
+els.monthSelect.addEventListener('change', () => {
+  state.month = Number(els.monthSelect.value);
+  runCalculation();
+});
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  runCalculation();
+});
+
+els.taxCodeInput.addEventListener('input', () => {
+  state.taxCode = els.taxCodeInput.value.trim();
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.pensionInput.addEventListener('input', () => {
+  state.pensionValue = parseFloat(els.pensionInput.value) || 0;
+  runCalculation();
+});
+
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+els.studentLoanSelect.addEventListener('change', () => {
+  state.studentLoan = els.studentLoanSelect.value;
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
@@ -1,6 +1,6 @@
 /**
  * PayCalcUK — UK Tax Calculator Engine
- * Tax Year 2025/26 (6 April 2025 – 5 April 2026)
+ * Tax rules are held per tax year (6 April – 5 April); 2025/26 is the default.
  */
 
 'use strict';
@@ -8,51 +8,258 @@
 const TAX_YEAR = '2025/26';
 
 /* ─────────────────────────────────────────────
-   CONSTANTS
+   TAX YEAR RULES
 ───────────────────────────────────────────── */
 
-const PERSONAL_ALLOWANCE = 12570;
-const BLIND_PERSONS_ALLOWANCE = 3070;
-const MARRIAGE_ALLOWANCE_TRANSFER = 1260;
-const MARRIAGE_ALLOWANCE_RELIEF = 252; // 20% of £1,260
-
-// Income at which PA starts tapering
-const PA_TAPER_THRESHOLD = 100000;
-// Income at which PA reaches zero
-const PA_ZERO_THRESHOLD = 125140;
+// Band limits are cumulative from the start of taxable income
+// (i.e. measured above the personal allowance). The top rate starts at
+// £125,140 of taxable income, where the allowance has fully tapered away.
 
 // England / Wales / Northern Ireland bands (above personal allowance)
-// Frozen at 2024/25 levels until at least 2027/28
+// Frozen at 2023/24 levels until at least 2027/28
 const EWNI_BANDS = [
-  { limit: 37700,  rate: 0.20 }, // Basic:      £12,571 – £50,270
-  { limit: 74870,  rate: 0.40 }, // Higher:     £50,271 – £125,140
-  { limit: Infinity, rate: 0.45 }, // Additional: over £125,140
+  { name: 'Basic rate',      limit: 37700,    rate: 0.20 }, // £12,571 – £50,270
+  { name: 'Higher rate',     limit: 125140,   rate: 0.40 }, // £50,271 – £125,140
+  { name: 'Additional rate', limit: Infinity, rate: 0.45 }, // over £125,140
 ];
 
-// Scotland bands (above personal allowance) — 2025/26
-const SCOTLAND_BANDS = [
-  { limit: 2827,   rate: 0.19 }, // Starter:      £12,571 – £15,397
-  { limit: 14921,  rate: 0.20 }, // Basic:        £15,398 – £27,491
-  { limit: 31092,  rate: 0.21 }, // Intermediate: £27,492 – £43,662
-  { limit: 62430,  rate: 0.42 }, // Higher:       £43,663 – £75,000
-  { limit: 112570, rate: 0.45 }, // Advanced:     £75,001 – £125,140
-  { limit: Infinity, rate: 0.48 }, // Top:        over £125,140
-];
+// Corporation tax since April 2023: small profits rate up to the lower limit,
+// main rate over the upper limit, and marginal relief between the two. Set by
+// financial year (from 1 April), which is treated here as the tax year.
+const CORPORATION_TAX = {
+  smallProfitsRate: 0.19,
+  mainRate: 0.25,
+  lowerLimit: 50000,
+  upperLimit: 250000,
+  marginalReliefFraction: 3 / 200,
+};
+
+// Pension annual allowance since April 2023. It tapers by £1 for every £2 of
+// adjusted income over the limit, but only when threshold income is also
+// over its test, and never below the minimum.
+const ANNUAL_ALLOWANCE = {
+  standard: 60000,
+  thresholdIncomeLimit: 200000,
+  adjustedIncomeLimit: 260000,
+  minimum: 10000,
+};
+
+/**
+ * Rule sets by tax year. Each year is complete on its own so that old
+ * payslips can be checked against the rules that applied at the time.
+ * Years flagged `provisional` use announced but not yet enacted figures.
+ */
+const TAX_YEARS = {
+  '2023/24': {
+    label: '2023/24',
+    startDate: '2023-04-06',
+    provisional: false,
+    personalAllowance: 12570,
+    paTaperThreshold: 100000,
+    blindPersonsAllowance: 2870,
+    marriageAllowanceTransfer: 1260,
+    // High Income Child Benefit Charge: 1% of the benefit per £100 over £50,000
+    childBenefit: { eldestWeekly: 24.00, additionalWeekly: 15.90, chargeThreshold: 50000, chargeUpperLimit: 60000 },
+    bands: {
+      ewni: EWNI_BANDS,
+      scotland: [
+        { name: 'Starter rate',      limit: 2162,     rate: 0.19 }, // £12,571 – £14,732
+        { name: 'Basic rate',        limit: 13118,    rate: 0.20 }, // £14,733 – £25,688
+        { name: 'Intermediate rate', limit: 31092,    rate: 0.21 }, // £25,689 – £43,662
+        { name: 'Higher rate',       limit: 125140,   rate: 0.42 }, // £43,663 – £125,140
+        { name: 'Top rate',          limit: Infinity, rate: 0.47 }, // over £125,140
+      ],
+    },
+    // Main rate was 12% to 5 January 2024 and 10% after; annualised as HMRC
+    // does for directors' annual earnings periods. Payroll periods use the
+    // rate in force on the pay date.
+    // The reduced rate (category B) likewise went from 5.85% to 3.85%.
+    ni: {
+      primaryThreshold: 12570, upperEarningsLimit: 50270, rateStandard: 0.115, rateReduced: 0.0535, rateUpper: 0.02,
+      mainRateChange: { rateBefore: 0.12, rateAfter: 0.10, fromMonth: 10, fromWeek: 40 },
+    },
+    employerNI: { secondaryThreshold: 9100, upperSecondaryThreshold: 50270, rate: 0.138, employmentAllowance: 5000 },
+    // Sole traders: Class 2 was only paid on profits over the lower profits
+    // limit; between the small profits threshold and that it was credited free
+    selfEmployed: {
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, rateMain: 0.09, rateUpper: 0.02 },
+      class2: { weeklyRate: 3.45, smallProfitsThreshold: 6725, payableFrom: 12570 },
+    },
+    // Dividend rates by the band the dividends fall in (UK bands everywhere)
+    dividends: { allowance: 1000, ordinaryRate: 0.0875, upperRate: 0.3375, additionalRate: 0.3935 },
+    corporationTax: CORPORATION_TAX,
+    annualAllowance: ANNUAL_ALLOWANCE,
+    pension: { qualifyingEarningsLower: 6240, qualifyingEarningsUpper: 50270 },
+    studentLoanPlans: {
+      plan1:    { threshold: 22015, rate: 0.09 },
+      plan2:    { threshold: 27295, rate: 0.09 },
+      plan4:    { threshold: 27660, rate: 0.09 },
+      postgrad: { threshold: 21000, rate: 0.06 },
+    },
+  },
 
-// National Insurance (Employee Class 1) — unchanged from 2024/25
-const NI_PRIMARY_THRESHOLD = 12570;
-const NI_UPPER_EARNINGS_LIMIT = 50270;
-const NI_RATE_STANDARD = 0.08;
-const NI_RATE_UPPER = 0.02;
-
-// Student Loan thresholds & rates — 2025/26 (RPI-linked increases)
-const STUDENT_LOAN_PLANS = {
-  plan1:    { threshold: 26065, rate: 0.09 },
-  plan2:    { threshold: 28470, rate: 0.09 },
-  plan4:    { threshold: 32745, rate: 0.09 },
-  postgrad: { threshold: 21000, rate: 0.06 },
+  '2024/25': {
+    label: '2024/25',
+    startDate: '2024-04-06',
+    provisional: false,
+    personalAllowance: 12570,
+    paTaperThreshold: 100000,
+    blindPersonsAllowance: 3070,
+    marriageAllowanceTransfer: 1260,
+    // Charge threshold raised to £60,000 and tapered more slowly, 1% per £200
+    childBenefit: { eldestWeekly: 25.60, additionalWeekly: 16.95, chargeThreshold: 60000, chargeUpperLimit: 80000 },
+    bands: {
+      ewni: EWNI_BANDS,
+      scotland: [
+        { name: 'Starter rate',      limit: 2306,     rate: 0.19 }, // £12,571 – £14,876
+        { name: 'Basic rate',        limit: 13991,    rate: 0.20 }, // £14,877 – £26,561
+        { name: 'Intermediate rate', limit: 31092,    rate: 0.21 }, // £26,562 – £43,662
+        { name: 'Higher rate',       limit: 62430,    rate: 0.42 }, // £43,663 – £75,000
+        { name: 'Advanced rate',     limit: 125140,   rate: 0.45 }, // £75,001 – £125,140
+        { name: 'Top rate',          limit: Infinity, rate: 0.48 }, // over £125,140
+      ],
+    },
+    ni: { primaryThreshold: 12570, upperEarningsLimit: 50270, rateStandard: 0.08, rateReduced: 0.0185, rateUpper: 0.02 },
+    employerNI: { secondaryThreshold: 9100, upperSecondaryThreshold: 50270, rate: 0.138, employmentAllowance: 5000 },
+    // Class 4 main rate cut to 6%, and Class 2 no longer paid: profits over
+    // the small profits threshold get the State Pension credit for free
+    selfEmployed: {
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, rateMain: 0.06, rateUpper: 0.02 },
+      class2: { weeklyRate: 3.45, smallProfitsThreshold: 6725, payableFrom: null },
+    },
+    dividends: { allowance: 500, ordinaryRate: 0.0875, upperRate: 0.3375, additionalRate: 0.3935 },
+    corporationTax: CORPORATION_TAX,
+    annualAllowance: ANNUAL_ALLOWANCE,
+    pension: { qualifyingEarningsLower: 6240, qualifyingEarningsUpper: 50270 },
+    studentLoanPlans: {
+      plan1:    { threshold: 24990, rate: 0.09 },
+      plan2:    { threshold: 27295, rate: 0.09 },
+      plan4:    { threshold: 31395, rate: 0.09 },
+      postgrad: { threshold: 21000, rate: 0.06 },
+    },
+  },
+
+  '2025/26': {
+    label: '2025/26',
+    startDate: '2025-04-06',
+    provisional: false,
+    personalAllowance: 12570,
+    paTaperThreshold: 100000,
+    blindPersonsAllowance: 3130,
+    marriageAllowanceTransfer: 1260,
+    childBenefit: { eldestWeekly: 26.05, additionalWeekly: 17.25, chargeThreshold: 60000, chargeUpperLimit: 80000 },
+    bands: {
+      ewni: EWNI_BANDS,
+      scotland: [
+        { name: 'Starter rate',      limit: 2827,     rate: 0.19 }, // £12,571 – £15,397
+        { name: 'Basic rate',        limit: 14921,    rate: 0.20 }, // £15,398 – £27,491
+        { name: 'Intermediate rate', limit: 31092,    rate: 0.21 }, // £27,492 – £43,662
+        { name: 'Higher rate',       limit: 62430,    rate: 0.42 }, // £43,663 – £75,000
+        { name: 'Advanced rate',     limit: 125140,   rate: 0.45 }, // £75,001 – £125,140
+        { name: 'Top rate',          limit: Infinity, rate: 0.48 }, // over £125,140
+      ],
+    },
+    ni: { primaryThreshold: 12570, upperEarningsLimit: 50270, rateStandard: 0.08, rateReduced: 0.0185, rateUpper: 0.02 },
+    // Employer rate up and threshold down from April 2025; Employment Allowance doubled
+    employerNI: { secondaryThreshold: 5000, upperSecondaryThreshold: 50270, rate: 0.15, employmentAllowance: 10500 },
+    selfEmployed: {
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, rateMain: 0.06, rateUpper: 0.02 },
+      class2: { weeklyRate: 3.50, smallProfitsThreshold: 6845, payableFrom: null },
+    },
+    dividends: { allowance: 500, ordinaryRate: 0.0875, upperRate: 0.3375, additionalRate: 0.3935 },
+    corporationTax: CORPORATION_TAX,
+    annualAllowance: ANNUAL_ALLOWANCE,
+    pension: { qualifyingEarningsLower: 6240, qualifyingEarningsUpper: 50270 },
+    // RPI-linked increases
+    studentLoanPlans: {
+      plan1:    { threshold: 26065, rate: 0.09 },
+      plan2:    { threshold: 28470, rate: 0.09 },
+      plan4:    { threshold: 32745, rate: 0.09 },
+      postgrad: { threshold: 21000, rate: 0.06 },
+    },
+  },
+
+  // Scottish bands per the draft 2026/27 Scottish Budget; UK figures frozen.
+  '2026/27': {
+    label: '2026/27',
+    startDate: '2026-04-06',
+    provisional: true,
+    personalAllowance: 12570,
+    paTaperThreshold: 100000,
+    blindPersonsAllowance: 3250,
+    marriageAllowanceTransfer: 1260,
+    // Child Benefit uprated by September 2025 CPI
+    childBenefit: { eldestWeekly: 27.05, additionalWeekly: 17.90, chargeThreshold: 60000, chargeUpperLimit: 80000 },
+    bands: {
+      ewni: EWNI_BANDS,
+      scotland: [
+        { name: 'Starter rate',      limit: 3967,     rate: 0.19 }, // £12,571 – £16,537
+        { name: 'Basic rate',        limit: 16956,    rate: 0.20 }, // £16,538 – £29,526
+        { name: 'Intermediate rate', limit: 31092,    rate: 0.21 }, // £29,527 – £43,662
+        { name: 'Higher rate',       limit: 62430,    rate: 0.42 }, // £43,663 – £75,000
+        { name: 'Advanced rate',     limit: 125140,   rate: 0.45 }, // £75,001 – £125,140
+        { name: 'Top rate',          limit: Infinity, rate: 0.48 }, // over £125,140
+      ],
+    },
+    ni: { primaryThreshold: 12570, upperEarningsLimit: 50270, rateStandard: 0.08, rateReduced: 0.0185, rateUpper: 0.02 },
+    employerNI: { secondaryThreshold: 5000, upperSecondaryThreshold: 50270, rate: 0.15, employmentAllowance: 10500 },
+    // Class 2 rate and small profits threshold uprated by September 2025 CPI
+    selfEmployed: {
+      class4: { lowerProfitsLimit: 12570, upperProfitsLimit: 50270, rateMain: 0.06, rateUpper: 0.02 },
+      class2: { weeklyRate: 3.65, smallProfitsThreshold: 7105, payableFrom: null },
+    },
+    // Ordinary and upper dividend rates up 2 points from April 2026
+    dividends: { allowance: 500, ordinaryRate: 0.1075, upperRate: 0.3575, additionalRate: 0.3935 },
+    corporationTax: CORPORATION_TAX,
+    annualAllowance: ANNUAL_ALLOWANCE,
+    pension: { qualifyingEarningsLower: 6240, qualifyingEarningsUpper: 50270 },
+    studentLoanPlans: {
+      plan1:    { threshold: 26900, rate: 0.09 },
+      plan2:    { threshold: 29385, rate: 0.09 },
+      plan4:    { threshold: 33795, rate: 0.09 },
+      // Courses starting from August 2023; first repayments due April 2026
+      plan5:    { threshold: 25000, rate: 0.09 },
+      postgrad: { threshold: 21000, rate: 0.06 },
+    },
+  },
 };
 
+// Marriage allowance relief is given at the basic rate
+const MARRIAGE_ALLOWANCE_RELIEF_RATE = 0.20;
+
+// Relief at source pensions: the provider claims basic-rate relief from HMRC
+const PENSION_RAS_RELIEF_RATE = 0.20;
+
+// Apprenticeship Levy: 0.5% of an employer's pay bill, less a £15,000 allowance,
+// so only employers with a pay bill over £3m pay it
+const APPRENTICESHIP_LEVY_RATE = 0.005;
+const APPRENTICESHIP_LEVY_ALLOWANCE = 15000;
+
+// Auto-enrolment minimums, as a share of qualifying earnings
+const AUTO_ENROLMENT_MIN_TOTAL = 0.08;
+const AUTO_ENROLMENT_MIN_EMPLOYER = 0.03;
+
+/**
+ * Look up the rule set for a tax year, falling back to the default year.
+ * @param {string} taxYear  e.g. '2025/26'
+ * @returns {object}
+ */
+function getTaxYearRules(taxYear) {
+  return TAX_YEARS[taxYear] || TAX_YEARS[TAX_YEAR];
+}
+
+/**
+ * List the supported tax years, oldest first.
+ * @returns {Array<{id: string, label: string, provisional: boolean}>}
+ */
+function getTaxYears() {
+  return Object.keys(TAX_YEARS).map(id => ({
+    id,
+    label: TAX_YEARS[id].label,
+    provisional: TAX_YEARS[id].provisional,
+  }));
+}
+
 // Working days/hours per year
 const WORKING_DAYS_PER_YEAR = 260;
 const WORKING_HOURS_PER_DAY = 8;
@@ -87,39 +294,109 @@ function toAnnual(amount, period) {
 
 /**
  * Calculate the effective personal allowance after tapering.
- * @param {number} income  Adjusted net income (after pension sacrifice)
+ * @param {number} income  Adjusted net income — all taxable income, dividends
+ *                         included, less pension contributions
  * @param {boolean} blindPerson
+ * @param {object} rules   Tax year rules
  * @returns {number}
  */
-function calcPersonalAllowance(income, blindPerson) {
-  let pa = PERSONAL_ALLOWANCE;
+function calcPersonalAllowance(income, blindPerson, rules) {
+  let pa = rules.personalAllowance;
 
   // Taper: reduce by £1 for every £2 over £100,000
-  if (income > PA_TAPER_THRESHOLD) {
-    const reduction = Math.floor((income - PA_TAPER_THRESHOLD) / 2);
+  if (income > rules.paTaperThreshold) {
+    const reduction = Math.floor((income - rules.paTaperThreshold) / 2);
     pa = Math.max(0, pa - reduction);
   }
 
   // Blind person's allowance
   if (blindPerson) {
-    pa += BLIND_PERSONS_ALLOWANCE;
+    pa += rules.blindPersonsAllowance;
   }
 
   return pa;
 }
 
+/* ─────────────────────────────────────────────
+   CHILD BENEFIT
+───────────────────────────────────────────── */
+
+// Tax-Free Childcare and the funded childcare hours stop above this adjusted net income
+const CHILDCARE_SUPPORT_LIMIT = 100000;
+
+const CHILD_BENEFIT_WEEKS = 52;
+
+/**
+ * Annual Child Benefit: the higher rate for the eldest child, the lower
+ * rate for each of the others.
+ * @param {number} children
+ * @param {object} rules  Tax year rules
+ * @returns {number}
+ */
+function calcChildBenefit(children, rules) {
+  const count = Math.max(0, Math.floor(children || 0));
+  if (count === 0) return 0;
+  const { eldestWeekly, additionalWeekly } = rules.childBenefit;
+  return (eldestWeekly + additionalWeekly * (count - 1)) * CHILD_BENEFIT_WEEKS;
+}
+
+/**
+ * High Income Child Benefit Charge and the childcare support cliff edge,
+ * both tested against adjusted net income — the same figure that tapers the
+ * personal allowance. The charge is a whole percentage of the benefit,
+ * rounded down, and is paid through Self Assessment rather than payroll.
+ *
+ * @param {number} adjustedIncome  Adjusted net income
+ * @param {number} children        Children Child Benefit is claimed for
+ * @param {object} rules           Tax year rules
+ * @returns {object} The benefit, the charge, and the pension contributions that would avoid each
+ */
+function calculateChildBenefitCharge(adjustedIncome, children, rules) {
+  const { chargeThreshold, chargeUpperLimit } = rules.childBenefit;
+  const childBenefit = calcChildBenefit(children, rules);
+  const taperStep = (chargeUpperLimit - chargeThreshold) / 100;
+
+  const chargePercent = Math.min(100, Math.max(0, Math.floor((adjustedIncome - chargeThreshold) / taperStep)));
+  const charge = chargePercent === 100 ? childBenefit : Math.floor(childBenefit * chargePercent / 100);
+
+  return {
+    children: Math.max(0, Math.floor(children || 0)),
+    childBenefit,
+    chargeThreshold,
+    chargeUpperLimit,
+    chargePercent,
+    charge,
+    netChildBenefit: childBenefit - charge,
+    // Within the taper each extra £1 of income adds this much charge
+    marginalChargeRate: chargePercent > 0 && chargePercent < 100 ? childBenefit / 100 / taperStep : 0,
+    pensionToClearCharge: charge > 0 ? adjustedIncome - chargeThreshold : 0,
+    losesChildcareSupport: adjustedIncome > CHILDCARE_SUPPORT_LIMIT,
+    pensionToKeepChildcare: Math.max(0, adjustedIncome - CHILDCARE_SUPPORT_LIMIT),
+  };
+}
+
 /* ─────────────────────────────────────────────
    INCOME TAX
 ───────────────────────────────────────────── */
 
 /**
- * Apply tax bands progressively.
+ * Get the income tax bands for a country.
+ * @param {string} country  'england'|'scotland'|'wales'|'ni'
+ * @param {object} rules    Tax year rules
+ * @returns {Array}
+ */
+function getBands(country, rules) {
+  return country === 'scotland' ? rules.bands.scotland : rules.bands.ewni;
+}
+
+/**
+ * Split taxable income across the tax bands.
  * @param {number} taxableIncome  Income above personal allowance
  * @param {Array}  bands
- * @returns {number} tax due
+ * @returns {Array<{bandName: string, rate: number, amountInBand: number, taxInBand: number}>}
  */
-function applyBands(taxableIncome, bands) {
-  let tax = 0;
+function calculateTaxBreakdown(taxableIncome, bands) {
+  const breakdown = [];
   let remaining = taxableIncome;
   let prevLimit = 0;
 
@@ -127,77 +404,454 @@ function applyBands(taxableIncome, bands) {
     if (remaining <= 0) break;
     const bandWidth = band.limit === Infinity ? remaining : Math.min(remaining, band.limit - prevLimit);
     const taxable = Math.max(0, Math.min(remaining, bandWidth));
-    tax += taxable * band.rate;
+    if (taxable > 0) {
+      breakdown.push({
+        bandName:     band.name,
+        rate:         band.rate,
+        amountInBand: taxable,
+        taxInBand:    taxable * band.rate,
+      });
+    }
     remaining -= taxable;
     prevLimit = band.limit;
   }
 
-  return tax;
+  return breakdown;
 }
 
 /**
- * Calculate income tax for England, Wales, Northern Ireland.
- * @param {number} income  Adjusted net income
- * @param {number} pa      Personal allowance
- * @returns {number}
+ * Apply tax bands progressively.
+ * @param {number} taxableIncome  Income above personal allowance
+ * @param {Array}  bands
+ * @returns {number} tax due
  */
-function calcEWNITax(income, pa) {
-  const taxableIncome = Math.max(0, income - pa);
-  return applyBands(taxableIncome, EWNI_BANDS);
+function applyBands(taxableIncome, bands) {
+  return calculateTaxBreakdown(taxableIncome, bands)
+    .reduce((sum, band) => sum + band.taxInBand, 0);
 }
 
 /**
- * Calculate income tax for Scotland.
- * @param {number} income  Adjusted net income
- * @param {number} pa      Personal allowance
+ * Extend the basic rate band (and every band above it) by a relief at source
+ * pension contribution, which is how higher-rate relief is given.
+ * @param {Array}  bands
+ * @param {number} amount  Gross pension contribution
+ * @returns {Array} new bands
+ */
+function extendBasicRateBand(bands, amount) {
+  if (amount <= 0) return bands;
+  let extending = false;
+  return bands.map(band => {
+    if (band.rate >= PENSION_RAS_RELIEF_RATE) extending = true;
+    if (!extending || band.limit === Infinity) return band;
+    return { ...band, limit: band.limit + amount };
+  });
+}
+
+/* ─────────────────────────────────────────────
+   SAVINGS AND DIVIDEND INCOME
+───────────────────────────────────────────── */
+
+// Savings interest in the first £5,000 of taxable income is tax-free
+const STARTING_RATE_FOR_SAVINGS = 5000;
+
+// Savings interest covered by the Personal Savings Allowance, by the highest band reached
+const PERSONAL_SAVINGS_ALLOWANCE = { basic: 1000, higher: 500, additional: 0 };
+
+// Savings interest above the allowances is taxed at the UK band rates
+const SAVINGS_RATE_NAMES = ['Savings basic rate', 'Savings higher rate', 'Savings additional rate'];
+
+/**
+ * Spread savings or dividends across the UK bands, starting where the
+ * income below them left off. Nil-rate slices (allowances) come first and
+ * are taxed at 0% but still use up the band they fall in.
+ *
+ * @param {number} amount      Taxable amount to spread
+ * @param {number} position    Taxable income already in the bands
+ * @param {Array<{name: string, amount: number}>} nilRateSlices
+ * @param {Array<{name: string, rate: number}>}   rates  One per band
+ * @param {Array}  ukBands
+ * @returns {Array<{bandName: string, rate: number, amountInBand: number, taxInBand: number}>}
+ */
+function spreadOverUKBands(amount, position, nilRateSlices, rates, ukBands) {
+  const breakdown = [];
+  const slices = nilRateSlices.map(slice => ({ ...slice }));
+  let remaining = amount;
+
+  ukBands.forEach((band, i) => {
+    let inBand = Math.max(0, Math.min(remaining, band.limit - position));
+    position += inBand;
+    remaining -= inBand;
+
+    slices.forEach(slice => {
+      const covered = Math.min(inBand, slice.amount);
+      if (covered <= 0) return;
+      const entry = breakdown.find(item => item.bandName === slice.name);
+      if (entry) entry.amountInBand += covered;
+      else breakdown.push({ bandName: slice.name, rate: 0, amountInBand: covered, taxInBand: 0 });
+      slice.amount -= covered;
+      inBand -= covered;
+    });
+
+    if (inBand > 0) {
+      breakdown.push({
+        bandName:     rates[i].name,
+        rate:         rates[i].rate,
+        amountInBand: inBand,
+        taxInBand:    inBand * rates[i].rate,
+      });
+    }
+  });
+
+  return breakdown;
+}
+
+/**
+ * Personal Savings Allowance for a given total taxable income.
+ * @param {number} taxableIncome  All taxable income, savings and dividends included
+ * @param {Array}  ukBands
  * @returns {number}
  */
-function calcScotlandTax(income, pa) {
-  const taxableIncome = Math.max(0, income - pa);
-  return applyBands(taxableIncome, SCOTLAND_BANDS);
+function getPersonalSavingsAllowance(taxableIncome, ukBands) {
+  const [basic, higher] = ukBands;
+  if (taxableIncome <= basic.limit) return PERSONAL_SAVINGS_ALLOWANCE.basic;
+  if (taxableIncome <= higher.limit) return PERSONAL_SAVINGS_ALLOWANCE.higher;
+  return PERSONAL_SAVINGS_ALLOWANCE.additional;
+}
+
+/**
+ * Split dividends across the dividend rates. Dividends sit on top of other
+ * income and always use the UK bands, Scottish taxpayers included.
+ *
+ * @param {number} taxableDividends  Dividends left after any unused personal allowance
+ * @param {number} bandUsed          Taxable income already in the UK bands
+ * @param {object} rules             Tax year rules
+ * @param {Array}  [ukBands]         UK bands to use (defaults to the year's)
+ * @returns {Array<{bandName: string, rate: number, amountInBand: number, taxInBand: number}>}
+ */
+function calculateDividendTaxBreakdown(taxableDividends, bandUsed, rules, ukBands = rules.bands.ewni) {
+  const { allowance, ordinaryRate, upperRate, additionalRate } = rules.dividends;
+  return spreadOverUKBands(
+    taxableDividends,
+    bandUsed,
+    [{ name: 'Dividend allowance', amount: allowance }],
+    [
+      { name: 'Dividend ordinary rate',   rate: ordinaryRate },
+      { name: 'Dividend upper rate',      rate: upperRate },
+      { name: 'Dividend additional rate', rate: additionalRate },
+    ],
+    ukBands,
+  );
+}
+
+/**
+ * Income tax on earnings and other non-savings income, savings interest and
+ * dividends together, in that order. The personal allowance is used in the
+ * same order. Non-savings income uses the country's bands; savings and
+ * dividends use UK rates and bands everywhere, counting the non-savings
+ * income below them.
+ *
+ * @param {object} income
+ * @param {number} [income.nonSavings]  Earnings, pensions, rental profit
+ * @param {number} [income.savings]     Savings interest
+ * @param {number} [income.dividends]
+ * @param {number} pa        Personal allowance; negative for a K code
+ * @param {string} country
+ * @param {object} rules     Tax year rules
+ * @param {Array}  [bands]   Bands for non-savings income (defaults to the country's)
+ * @param {Array}  [ukBands] UK bands for savings and dividends (defaults to the year's)
+ * @returns {object} Taxable amounts, breakdowns and tax for each kind of income
+ */
+function calculateLayeredIncomeTax(income, pa, country, rules, bands = getBands(country, rules), ukBands = rules.bands.ewni) {
+  let allowanceLeft = Math.max(0, pa);
+  const afterAllowance = amount => {
+    const used = Math.min(Math.max(0, amount || 0), allowanceLeft);
+    allowanceLeft -= used;
+    return Math.max(0, amount || 0) - used;
+  };
+  // A negative allowance (K code) is added to taxable pay
+  const taxableNonSavings = afterAllowance(income.nonSavings) + Math.max(0, -pa);
+  const taxableSavings = afterAllowance(income.savings);
+  const taxableDividends = afterAllowance(income.dividends);
+  const taxableIncome = taxableNonSavings + taxableSavings + taxableDividends;
+
+  const nonSavingsBreakdown = calculateTaxBreakdown(taxableNonSavings, bands);
+
+  const startingRateForSavings = Math.max(0, STARTING_RATE_FOR_SAVINGS - taxableNonSavings);
+  const personalSavingsAllowance = getPersonalSavingsAllowance(taxableIncome, ukBands);
+  const savingsBreakdown = spreadOverUKBands(
+    taxableSavings,
+    taxableNonSavings,
+    [
+      { name: 'Starting rate for savings',  amount: startingRateForSavings },
+      { name: 'Personal Savings Allowance', amount: personalSavingsAllowance },
+    ],
+    ukBands.map((band, i) => ({ name: SAVINGS_RATE_NAMES[i] || band.name, rate: band.rate })),
+    ukBands,
+  );
+
+  const dividendBreakdown = calculateDividendTaxBreakdown(taxableDividends, taxableNonSavings + taxableSavings, rules, ukBands);
+
+  const total = breakdown => breakdown.reduce((sum, band) => sum + band.taxInBand, 0);
+  const nonSavingsTax = total(nonSavingsBreakdown);
+  const savingsTax = total(savingsBreakdown);
+  const dividendTax = total(dividendBreakdown);
+
+  return {
+    taxableNonSavings,
+    taxableSavings,
+    taxableDividends,
+    taxableIncome,
+    personalSavingsAllowance,
+    nonSavingsBreakdown,
+    savingsBreakdown,
+    dividendBreakdown,
+    nonSavingsTax,
+    savingsTax,
+    dividendTax,
+    tax: nonSavingsTax + savingsTax + dividendTax,
+  };
 }
 
 /* ─────────────────────────────────────────────
    NATIONAL INSURANCE
 ───────────────────────────────────────────── */
 
+/**
+ * Employee NI rate between the primary threshold and the upper earnings limit.
+ * @param {object} rules     Tax year rules
+ * @param {string} category  NI category letter
+ * @returns {{name: string, rate: number}|null} null if no employee NI is due
+ */
+function getNIMainRate(rules, category) {
+  const { employee } = NI_CATEGORIES[category] || NI_CATEGORIES.A;
+  switch (employee) {
+    case 'none':     return null;
+    case 'reduced':  return { name: 'Reduced rate', rate: rules.ni.rateReduced };
+    case 'deferred': return { name: 'Deferred rate', rate: rules.ni.rateUpper };
+    default:         return { name: 'Main rate', rate: rules.ni.rateStandard };
+  }
+}
+
+/**
+ * Split employee National Insurance across the main and upper rates.
+ * @param {number} grossSalary
+ * @param {object} rules     Tax year rules
+ * @param {string} [category] NI category letter (default 'A')
+ * @returns {Array<{bandName: string, rate: number, amountInBand: number, taxInBand: number}>}
+ */
+function calculateNIBreakdown(grossSalary, rules, category = 'A') {
+  const { primaryThreshold, upperEarningsLimit, rateUpper } = rules.ni;
+  const main = getNIMainRate(rules, category);
+  const breakdown = [];
+  if (!main) return breakdown;
+
+  const mainBand = Math.max(0, Math.min(grossSalary, upperEarningsLimit) - primaryThreshold);
+  if (mainBand > 0) {
+    breakdown.push({
+      bandName:     main.name,
+      rate:         main.rate,
+      amountInBand: mainBand,
+      taxInBand:    mainBand * main.rate,
+    });
+  }
+
+  const upperBand = Math.max(0, grossSalary - upperEarningsLimit);
+  if (upperBand > 0) {
+    breakdown.push({
+      bandName:     'Upper rate',
+      rate:         rateUpper,
+      amountInBand: upperBand,
+      taxInBand:    upperBand * rateUpper,
+    });
+  }
+
+  return breakdown;
+}
+
 /**
  * Calculate employee National Insurance contributions.
  * NI is always calculated on gross salary (not after pension sacrifice).
  * @param {number} grossSalary
+ * @param {object} rules     Tax year rules
+ * @param {string} [category] NI category letter
  * @returns {number}
  */
-function calcNI(grossSalary) {
-  if (grossSalary <= NI_PRIMARY_THRESHOLD) return 0;
+function calcNI(grossSalary, rules, category) {
+  return calculateNIBreakdown(grossSalary, rules, category)
+    .reduce((sum, band) => sum + band.taxInBand, 0);
+}
+
+/**
+ * NI category letters. `employee` is the rate paid between the primary
+ * threshold and the upper earnings limit: the main rate, the married women's
+ * reduced rate, 2% only where main-rate NI is paid in another job (deferred),
+ * or nothing. Employers pay no secondary NI up to the upper secondary
+ * threshold for under-21s, apprentices under 25 and veterans in their first
+ * civilian job, and none at all for under-16s. Freeport and investment zone
+ * letters aren't covered.
+ */
+const NI_CATEGORIES = {
+  A: { label: 'A — Standard',                    employee: 'standard', employer: 'standard' },
+  B: { label: 'B — Married woman or widow',      employee: 'reduced',  employer: 'standard' },
+  C: { label: 'C — Over State Pension age',      employee: 'none',     employer: 'standard' },
+  H: { label: 'H — Apprentice under 25',         employee: 'standard', employer: 'relief' },
+  J: { label: 'J — Deferred',                    employee: 'deferred', employer: 'standard' },
+  M: { label: 'M — Under 21',                    employee: 'standard', employer: 'relief' },
+  V: { label: 'V — Veteran, first civilian job', employee: 'standard', employer: 'relief' },
+  X: { label: 'X — Under 16',                    employee: 'none',     employer: 'none' },
+  Z: { label: 'Z — Under 21, deferred',          employee: 'deferred', employer: 'relief' },
+};
 
-  let ni = 0;
+// State Pension age for people reaching it now. It rises to 67 between 2026
+// and 2028 for those born after 5 April 1960, so ages are a close guide only.
+const STATE_PENSION_AGE = 66;
+const NI_MIN_AGE = 16;
+const NI_UNDER_21_AGE = 21;
+const NI_APPRENTICE_MAX_AGE = 25;
 
-  if (grossSalary <= NI_UPPER_EARNINGS_LIMIT) {
-    ni = (grossSalary - NI_PRIMARY_THRESHOLD) * NI_RATE_STANDARD;
-  } else {
-    ni = (NI_UPPER_EARNINGS_LIMIT - NI_PRIMARY_THRESHOLD) * NI_RATE_STANDARD
-       + (grossSalary - NI_UPPER_EARNINGS_LIMIT) * NI_RATE_UPPER;
+/**
+ * The category letter that applies at a given age — payroll moves people to
+ * C at State Pension age, and to M/Z (or back) around their 21st birthday.
+ * @param {string} category  Letter chosen, e.g. from a payslip
+ * @param {number} [age]     Age in years; the letter is kept as it is without one
+ * @returns {{category: string, reason: string|null}} reason explains any change
+ */
+function getNICategoryForAge(category, age) {
+  const letter = NI_CATEGORIES[category] ? category : 'A';
+  if (age === null || age === undefined || age === '' || !Number.isFinite(Number(age))) {
+    return { category: letter, reason: null };
+  }
+
+  const years = Number(age);
+  const moveTo = (to, reason) => (to === letter ? { category: letter, reason: null } : { category: to, reason });
+
+  if (years < NI_MIN_AGE) {
+    return moveTo('X', 'No NI is paid under 16.');
+  }
+  if (years >= STATE_PENSION_AGE) {
+    return moveTo('C', `No employee NI is due from State Pension age (${STATE_PENSION_AGE}); employers still pay.`);
+  }
+  if (years < NI_UNDER_21_AGE) {
+    const under21 = { A: 'M', H: 'M', J: 'Z' }[letter];
+    return under21 ? moveTo(under21, 'Employers pay no NI up to £50,270 for under-21s.') : { category: letter, reason: null };
+  }
+
+  const over21 = { M: 'A', Z: 'J', X: 'A', C: 'A' }[letter]
+    || (letter === 'H' && years >= NI_APPRENTICE_MAX_AGE ? 'A' : null);
+  return over21
+    ? moveTo(over21, `Category ${letter} doesn't apply at ${years}.`)
+    : { category: letter, reason: null };
+}
+
+/**
+ * Split employer (secondary Class 1) National Insurance across its bands.
+ * @param {number} earnings  Pay subject to NI, after any salary sacrifice
+ * @param {object} rules     Tax year rules
+ * @param {string} [category] NI category letter (default 'A')
+ * @returns {Array<{bandName: string, rate: number, amountInBand: number, taxInBand: number}>}
+ */
+function calculateEmployerNIBreakdown(earnings, rules, category = 'A') {
+  const { secondaryThreshold, upperSecondaryThreshold, rate } = rules.employerNI;
+  const { employer } = NI_CATEGORIES[category] || NI_CATEGORIES.A;
+  const employerRelief = employer === 'relief';
+  const breakdown = [];
+  if (employer === 'none') return breakdown;
+
+  if (employerRelief) {
+    const reliefBand = Math.max(0, Math.min(earnings, upperSecondaryThreshold) - secondaryThreshold);
+    if (reliefBand > 0) {
+      breakdown.push({
+        bandName:     'Relief (0%)',
+        rate:         0,
+        amountInBand: reliefBand,
+        taxInBand:    0,
+      });
+    }
+  }
+
+  const chargedFrom = employerRelief ? upperSecondaryThreshold : secondaryThreshold;
+  const chargedBand = Math.max(0, earnings - chargedFrom);
+  if (chargedBand > 0) {
+    breakdown.push({
+      bandName:     'Secondary rate',
+      rate,
+      amountInBand: chargedBand,
+      taxInBand:    chargedBand * rate,
+    });
   }
 
-  return ni;
+  return breakdown;
+}
+
+/**
+ * Apprenticeship Levy due on a whole pay bill.
+ * @param {number} payBill  Earnings subject to employer NI across all employees
+ * @returns {number}
+ */
+function calcApprenticeshipLevy(payBill) {
+  return Math.max(0, payBill * APPRENTICESHIP_LEVY_RATE - APPRENTICESHIP_LEVY_ALLOWANCE);
 }
 
 /* ─────────────────────────────────────────────
    STUDENT LOAN
 ───────────────────────────────────────────── */
 
+// Postgraduate loans are repaid on top of any undergraduate plan, at their own rate
+const POSTGRAD_LOAN_PLAN = 'postgrad';
+
+/**
+ * The plans in a student loan choice.
+ * @param {string|string[]} studentLoan  'none', a plan, plans joined with '+'
+ *                                       (e.g. 'plan2+postgrad') or an array of plans
+ * @returns {string[]}
+ */
+function getStudentLoanPlans(studentLoan) {
+  const plans = Array.isArray(studentLoan) ? studentLoan : String(studentLoan || '').split('+');
+  return [...new Set(plans.map(plan => String(plan).trim()).filter(plan => plan && plan !== 'none'))];
+}
+
+/**
+ * Split student loan repayments across plans. Undergraduate plans share a
+ * single deduction from the lowest threshold: earnings between one plan's
+ * threshold and the next go to the lower plan, the rest to the highest. A
+ * postgraduate loan is taken separately over its own threshold.
+ * @param {number} earnings
+ * @param {string|string[]} studentLoan  See getStudentLoanPlans
+ * @param {object} rules  Tax year rules
+ * @returns {Array<{plan: string, threshold: number, upperLimit: number, rate: number, amountInBand: number, repayment: number}>}
+ */
+function calculateStudentLoanBreakdown(earnings, studentLoan, rules) {
+  const plans = getStudentLoanPlans(studentLoan)
+    .filter(plan => rules.studentLoanPlans[plan])
+    .map(plan => ({ plan, ...rules.studentLoanPlans[plan] }));
+
+  const undergraduate = plans
+    .filter(config => config.plan !== POSTGRAD_LOAN_PLAN)
+    .sort((a, b) => a.threshold - b.threshold);
+  const postgraduate = plans.filter(config => config.plan === POSTGRAD_LOAN_PLAN);
+
+  return [
+    ...undergraduate.map((config, i) => ({
+      ...config,
+      upperLimit: undergraduate[i + 1] ? undergraduate[i + 1].threshold : Infinity,
+    })),
+    ...postgraduate.map(config => ({ ...config, upperLimit: Infinity })),
+  ].map(config => {
+    const amountInBand = Math.max(0, Math.min(earnings, config.upperLimit) - config.threshold);
+    return { ...config, amountInBand, repayment: amountInBand * config.rate };
+  });
+}
+
 /**
  * Calculate student loan repayment.
  * @param {number} grossSalary
- * @param {string} plan  'none'|'plan1'|'plan2'|'plan4'|'postgrad'
+ * @param {string|string[]} plan  'none', a plan, or plans joined with '+' — see getStudentLoanPlans
+ * @param {object} rules  Tax year rules
  * @returns {number}
  */
-function calcStudentLoan(grossSalary, plan) {
-  if (!plan || plan === 'none') return 0;
-  const config = STUDENT_LOAN_PLANS[plan];
-  if (!config) return 0;
-  const repayable = Math.max(0, grossSalary - config.threshold);
-  return repayable * config.rate;
+function calcStudentLoan(grossSalary, plan, rules) {
+  return calculateStudentLoanBreakdown(grossSalary, plan, rules)
+    .reduce((sum, loan) => sum + loan.repayment, 0);
 }
 
 /* ─────────────────────────────────────────────
@@ -205,16 +859,30 @@ function calcStudentLoan(grossSalary, plan) {
 ───────────────────────────────────────────── */
 
 /**
- * Calculate pension contribution (salary sacrifice — pre-tax).
+ * Work out pensionable pay.
+ * @param {number} grossSalary
+ * @param {string} basis  'full'|'qualifying' (auto-enrolment qualifying earnings)
+ * @param {object} rules  Tax year rules
+ * @returns {number}
+ */
+function calcPensionablePay(grossSalary, basis, rules) {
+  if (basis !== 'qualifying') return grossSalary;
+  const { qualifyingEarningsLower, qualifyingEarningsUpper } = rules.pension;
+  return Math.max(0, Math.min(grossSalary, qualifyingEarningsUpper) - qualifyingEarningsLower);
+}
+
+/**
+ * Calculate a pension contribution.
  * @param {number} grossSalary
  * @param {number} value
  * @param {string} unit  'percent'|'fixed'
+ * @param {number} [pensionablePay]  Pay that percentages apply to (defaults to gross)
  * @returns {number}
  */
-function calcPension(grossSalary, value, unit) {
+function calcPension(grossSalary, value, unit, pensionablePay = grossSalary) {
   if (!value || value <= 0) return 0;
   if (unit === 'percent') {
-    return grossSalary * (Math.min(value, 100) / 100);
+    return pensionablePay * (Math.min(value, 100) / 100);
   }
   return Math.min(value, grossSalary);
 }
@@ -228,29 +896,184 @@ function calcPension(grossSalary, value, unit) {
  * @param {number} income  Adjusted net income
  * @param {string} country
  * @param {number} pa      Personal allowance
+ * @param {object} rules   Tax year rules
+ * @param {Array}  [bands] Bands to use (defaults to the country's bands)
  * @returns {number} marginal rate (0–1)
  */
-function getMarginalIncomeTaxRate(income, country, pa) {
+function getMarginalIncomeTaxRate(income, country, pa, rules, bands = getBands(country, rules)) {
   const taxable = income - pa;
   if (taxable <= 0) return 0;
 
   // band.limit values are cumulative from start of taxable income
-  const bands = country === 'scotland' ? SCOTLAND_BANDS : EWNI_BANDS;
   for (const band of bands) {
     if (band.limit === Infinity || taxable <= band.limit) return band.rate;
   }
   return bands[bands.length - 1].rate;
 }
 
+/**
+ * Marginal income tax rate on extra pay when savings or dividends sit on top
+ * of it. Each extra £1 of pay pushes the same amount of savings or dividends
+ * into the next band up, so the rate is measured rather than looked up.
+ * @param {number} taxablePay  Pay after pension deductions
+ * @param {number} savings
+ * @param {number} dividends
+ * @param {number} pa          Personal allowance
+ * @param {string} country
+ * @param {object} rules       Tax year rules
+ * @param {Array}  bands       Bands for pay
+ * @param {Array}  ukBands     UK bands for savings and dividends
+ * @returns {number} marginal rate (0–1)
+ */
+function getMarginalLayeredTaxRate(taxablePay, savings, dividends, pa, country, rules, bands, ukBands) {
+  const taxAt = pay => calculateLayeredIncomeTax({ nonSavings: pay, savings, dividends }, pa, country, rules, bands, ukBands).tax;
+  return taxAt(taxablePay + 1) - taxAt(taxablePay);
+}
+
 /**
  * Determine the marginal NI rate at a given gross salary.
  * @param {number} grossSalary
+ * @param {object} rules     Tax year rules
+ * @param {string} [category] NI category letter
+ * @returns {number}
+ */
+function getMarginalNIRate(grossSalary, rules, category) {
+  const { primaryThreshold, upperEarningsLimit, rateUpper } = rules.ni;
+  const main = getNIMainRate(rules, category);
+  if (!main || grossSalary <= primaryThreshold) return 0;
+  if (grossSalary <= upperEarningsLimit) return main.rate;
+  return rateUpper;
+}
+
+/* ─────────────────────────────────────────────
+   TAX CODES
+───────────────────────────────────────────── */
+
+// Tax taken on a K code can't exceed half the pay it's taken from
+const K_CODE_REGULATORY_LIMIT = 0.5;
+
+// Flat-rate codes: how many bands above the basic rate band the code taxes at
+const FLAT_RATE_BAND_OFFSET = { BR: 0, D0: 1, D1: 2, D2: 3, D3: 4 };
+
+// [S|C] prefix, then K-number | number-letter | flat-rate code, then optional W1/M1/X
+const TAX_CODE_PATTERN = /^([SC])?(?:K(\d+)|(\d+)([LMNT])|(BR|D[0-3]|NT))(W1|M1|X)?$/;
+
+/**
+ * Decode a PAYE tax code.
+ * Allowance-based codes give free pay of (number × 10) + 9 a year, as in
+ * HMRC's pay adjustment tables; K codes add that amount to taxable pay instead.
+ *
+ * @param {string} input  e.g. '1257L', 'S1257L', 'K475', 'BR', 'C1257L M1'
+ * @returns {object} Decoded code (valid: false with an error if it can't be read)
+ */
+function parseTaxCode(input) {
+  const code = String(input || '').toUpperCase().replace(/[\s/]+/g, '');
+  const match = code.match(TAX_CODE_PATTERN);
+
+  if (!match) {
+    return { code, valid: false, error: `"${input}" is not a recognised tax code.` };
+  }
+
+  const [, prefix, kNumber, number, letter, flat, basis] = match;
+  const country = prefix === 'S' ? 'scotland' : prefix === 'C' ? 'wales' : 'england';
+
+  if (flat && /^D[23]$/.test(flat) && country !== 'scotland') {
+    return { code, valid: false, error: `${flat} is only used with Scottish (S) tax codes.` };
+  }
+
+  let allowance = 0;
+  if (kNumber) {
+    allowance = -(Number(kNumber) * 10 + 9);
+  } else if (number) {
+    allowance = Number(number) > 0 ? Number(number) * 10 + 9 : 0;
+  }
+
+  return {
+    code,
+    valid:         true,
+    prefix:        prefix || null,
+    country,
+    allowance,
+    isK:           Boolean(kNumber),
+    letter:        letter || null,
+    flatRate:      flat || null,
+    nonCumulative: Boolean(basis),
+    basis:         basis || null,
+  };
+}
+
+/**
+ * Get the band a flat-rate code (BR, D0–D3) taxes all pay in.
+ * @param {string} flatRate  'BR'|'D0'|'D1'|'D2'|'D3'
+ * @param {Array}  bands     Income tax bands for the code's country
+ * @returns {object} band
+ */
+function getFlatRateBand(flatRate, bands) {
+  const basicIndex = bands.findIndex(band => band.name === 'Basic rate');
+  return bands[basicIndex + FLAT_RATE_BAND_OFFSET[flatRate]] || bands[bands.length - 1];
+}
+
+/**
+ * Get the single rate a flat-rate code (BR, D0–D3) taxes all pay at.
+ * @param {string} flatRate  'BR'|'D0'|'D1'|'D2'|'D3'
+ * @param {Array}  bands     Income tax bands for the code's country
  * @returns {number}
  */
-function getMarginalNIRate(grossSalary) {
-  if (grossSalary <= NI_PRIMARY_THRESHOLD) return 0;
-  if (grossSalary <= NI_UPPER_EARNINGS_LIMIT) return NI_RATE_STANDARD;
-  return NI_RATE_UPPER;
+function getFlatRate(flatRate, bands) {
+  return getFlatRateBand(flatRate, bands).rate;
+}
+
+/**
+ * Explain a decoded tax code in plain English.
+ * @param {object} code   Result of parseTaxCode()
+ * @param {object} rules  Tax year rules
+ * @returns {string[]} One sentence per part of the code
+ */
+function explainTaxCode(code, rules) {
+  if (!code.valid) return [code.error];
+
+  const lines = [];
+  const standard = rules.personalAllowance;
+
+  if (code.flatRate === 'NT') {
+    lines.push('NT means no income tax is taken from this pay.');
+  } else if (code.flatRate) {
+    const band = getFlatRateBand(code.flatRate, getBands(code.country, rules));
+    lines.push(`${code.flatRate} means all of this pay is taxed at the ${band.name.toLowerCase()} of ${formatPercent(band.rate * 100, 0)}, with no tax-free allowance. It's usually given for a second job or pension when your allowance is used elsewhere.`);
+  } else if (code.isK) {
+    lines.push(`K means you have untaxed income or benefits worth more than your Personal Allowance. ${formatCurrency(-code.allowance)} is added to your taxable pay, and no more than half of any payslip can be taken in tax.`);
+  } else if (code.allowance === 0) {
+    lines.push(`0${code.letter} means you have no tax-free allowance on this pay — often because you started a job without a P45, or your allowance is used up.`);
+  } else {
+    lines.push(`You can earn ${formatCurrency(code.allowance)} a year before paying income tax: the number in your code multiplied by 10, plus £9 as payroll software rounds it.`);
+
+    const difference = code.allowance - 9 - standard;
+    if (difference < 0) {
+      lines.push(`That's ${formatCurrency(-difference)} less than the standard ${formatCurrency(standard)} Personal Allowance — usually HMRC collecting tax on a company benefit, untaxed income or an underpayment from an earlier year, or your allowance tapering above ${formatCurrency(rules.paTaperThreshold)}.`);
+    } else if (difference > 0) {
+      lines.push(`That's ${formatCurrency(difference)} more than the standard ${formatCurrency(standard)} Personal Allowance — usually tax relief on work expenses or professional fees, or the Blind Person's Allowance.`);
+    }
+
+    const letters = {
+      L: `L means you're entitled to the standard tax-free Personal Allowance.`,
+      M: `M means your partner has transferred ${formatCurrency(rules.marriageAllowanceTransfer)} of their allowance to you under Marriage Allowance.`,
+      N: `N means you have transferred ${formatCurrency(rules.marriageAllowanceTransfer)} of your allowance to your partner under Marriage Allowance.`,
+      T: 'T means HMRC needs to review other items in your tax code, or your income is high enough for your allowance to taper.',
+    };
+    lines.push(letters[code.letter]);
+  }
+
+  if (code.prefix === 'S') {
+    lines.push('S means you pay Scottish income tax rates.');
+  } else if (code.prefix === 'C') {
+    lines.push('C means you pay Welsh income tax rates, currently the same as England and Northern Ireland.');
+  }
+
+  if (code.nonCumulative) {
+    lines.push(`${code.basis} is an emergency code: each payslip is taxed on its own, so tax overpaid earlier in the year isn't refunded through your pay until HMRC updates the code.`);
+  }
+
+  return lines;
 }
 
 /* ─────────────────────────────────────────────
@@ -266,9 +1089,32 @@ function getMarginalNIRate(grossSalary) {
  * @param {string}  params.country          'england'|'scotland'|'wales'|'ni'
  * @param {number}  params.pensionValue     Pension contribution value
  * @param {string}  params.pensionUnit      'percent'|'fixed'
- * @param {string}  params.studentLoan      'none'|'plan1'|'plan2'|'plan4'|'postgrad'
+ * @param {string}  [params.pensionScheme]  'sacrifice'|'netpay'|'ras' (default 'sacrifice')
+ * @param {string}  [params.pensionBasis]   'full'|'qualifying' — pay that % contributions apply to
+ * @param {number}  [params.employerPensionValue] Employer contribution, % of pensionable pay
+ * @param {string}  [params.employerPensionUnit]  'percent'|'fixed' (default 'percent')
+ * @param {string|string[]} params.studentLoan 'none', a plan ('plan1'|'plan2'|'plan4'|'plan5'|'postgrad')
+ *                                      or plans joined with '+', e.g. 'plan2+postgrad'
  * @param {boolean} params.blindPerson      Blind person's allowance
- * @param {boolean} params.marriageAllowance Marriage allowance (recipient)
+ * @param {boolean|string} params.marriageAllowance Marriage allowance: true/'recipient' or 'transferor'
+ * @param {string}  [params.taxYear]    e.g. '2025/26' (defaults to TAX_YEAR)
+ * @param {string}  [params.taxCode]    PAYE tax code, e.g. '1257L'. When valid it replaces the
+ *                                      calculated allowance (taper, blind person's and marriage
+ *                                      allowance are already built into a code) and an S/C
+ *                                      prefix sets the income tax rates used
+ * @param {string}  [params.niCategory] NI category letter (default 'A')
+ * @param {number}  [params.age]        Age in years; moves the NI category to the one payroll
+ *                                      would use at that age, e.g. C over State Pension age
+ * @param {boolean} [params.employmentAllowance] Set the employer's Employment Allowance against this salary
+ * @param {boolean} [params.paysApprenticeshipLevy] Employer's pay bill is over the levy allowance,
+ *                                      so 0.5% is due on every extra £ of pay
+ * @param {number}  [params.savingsInterest] Annual savings interest outside ISAs, taxed on top of pay
+ * @param {number}  [params.dividends]  Annual dividends outside ISAs, taxed on top of savings
+ * @param {number}  [params.children]   Children Child Benefit is claimed for; adds the High Income
+ *                                      Child Benefit Charge, which isn't taken from pay
+ * @param {Array<number|null>} [params.previousPensionInputs] Pension savings in each of the three
+ *                                      previous tax years, most recent first, for carry-forward;
+ *                                      null for a year without a pension scheme
  *
  * @returns {object} Full breakdown
  */
@@ -279,64 +1125,225 @@ function calculate(params) {
     country,
     pensionValue,
     pensionUnit,
+    pensionScheme = 'sacrifice',
+    pensionBasis = 'full',
+    employerPensionValue = 0,
+    employerPensionUnit = 'percent',
     studentLoan,
     blindPerson,
     marriageAllowance,
+    taxYear,
+    taxCode,
+    niCategory = 'A',
+    age = null,
+    employmentAllowance = false,
+    paysApprenticeshipLevy = false,
+    savingsInterest = 0,
+    dividends = 0,
+    children = 0,
+    previousPensionInputs = [],
   } = params;
 
+  const rules = getTaxYearRules(taxYear);
+  const code = taxCode ? parseTaxCode(taxCode) : null;
+  const useCode = Boolean(code && code.valid);
+  const taxCountry = useCode && code.prefix ? code.country : country;
+
   // 1. Convert to annual gross
   const grossAnnual = Math.max(0, toAnnual(salaryAmount, salaryPeriod));
+  const savingsAnnual = Math.max(0, savingsInterest || 0);
+  const dividendsAnnual = Math.max(0, dividends || 0);
+  const otherIncome = savingsAnnual + dividendsAnnual;
 
-  // 2. Pension (salary sacrifice — reduces taxable income)
-  const pensionAnnual = calcPension(grossAnnual, pensionValue, pensionUnit);
+  // 2. Pension contributions
+  //    sacrifice: comes off pay before tax, NI and student loan
+  //    netpay:    comes off pay before tax only
+  //    ras:       paid from net pay; provider adds basic-rate relief and
+  //               the basic rate band is extended for higher-rate relief
+  const pensionablePay = calcPensionablePay(grossAnnual, pensionBasis, rules);
+  const pensionContribution = calcPension(grossAnnual, pensionValue, pensionUnit, pensionablePay);
+  const employerPensionAnnual = calcPension(grossAnnual, employerPensionValue, employerPensionUnit, pensionablePay);
+  const isRAS = pensionScheme === 'ras';
+  const pensionTaxRelief = isRAS ? pensionContribution * PENSION_RAS_RELIEF_RATE : 0;
+  const pensionAnnual = pensionContribution - pensionTaxRelief;
 
-  // 3. Adjusted net income (for tax purposes)
-  const adjustedIncome = grossAnnual - pensionAnnual;
+  const sacrificedPay = pensionScheme === 'sacrifice' ? pensionContribution : 0;
+  const niablePay = grossAnnual - sacrificedPay;
+  const taxablePay = isRAS ? grossAnnual : grossAnnual - pensionContribution;
 
-  // 4. Personal allowance (may taper above £100k)
-  const pa = calcPersonalAllowance(adjustedIncome, blindPerson);
+  // 3. Adjusted net income — reduced by every scheme (RAS by the gross contribution),
+  //    with savings and dividends counted in full
+  const adjustedIncome = grossAnnual - pensionContribution + otherIncome;
 
-  // 5. Income tax
-  let incomeTax = 0;
-  if (country === 'scotland') {
-    incomeTax = calcScotlandTax(adjustedIncome, pa);
-  } else {
-    incomeTax = calcEWNITax(adjustedIncome, pa);
+  // 4. Personal allowance (may taper above £100k) — or whatever the tax code
+  //    gives, which is negative for K codes
+  let pa = useCode ? code.allowance : calcPersonalAllowance(adjustedIncome, blindPerson, rules);
+
+  // Marriage allowance: transferor gives up part of their allowance
+  const isMATransferor = marriageAllowance === 'transferor';
+  if (isMATransferor && !useCode) {
+    pa = Math.max(0, pa - rules.marriageAllowanceTransfer);
+  }
+
+  // 5. Income tax — pay first, then savings and dividends on top at UK rates
+  const countryBands = isRAS
+    ? extendBasicRateBand(getBands(taxCountry, rules), pensionContribution)
+    : getBands(taxCountry, rules);
+  const ukBands = isRAS
+    ? extendBasicRateBand(rules.bands.ewni, pensionContribution)
+    : rules.bands.ewni;
+  const flatRateBand = useCode && code.flatRate && code.flatRate !== 'NT'
+    ? getFlatRateBand(code.flatRate, countryBands)
+    : null;
+  // BR/D0–D3 tax everything in one band; NT takes no tax at all
+  const bands = flatRateBand
+    ? [{ ...flatRateBand, limit: Infinity }]
+    : useCode && code.flatRate === 'NT'
+      ? [{ name: 'No tax', limit: Infinity, rate: 0 }]
+      : countryBands;
+  const layeredTax = calculateLayeredIncomeTax(
+    { nonSavings: taxablePay, savings: savingsAnnual, dividends: dividendsAnnual },
+    pa, taxCountry, rules, bands, ukBands,
+  );
+  const taxableIncome = layeredTax.taxableIncome;
+  const taxBreakdown = layeredTax.nonSavingsBreakdown;
+
+  let payTax = layeredTax.nonSavingsTax;
+
+  // K codes: tax can't exceed half of the pay it's taken from
+  if (useCode && code.isK) {
+    payTax = Math.min(payTax, taxablePay * K_CODE_REGULATORY_LIMIT);
   }
 
-  // Marriage allowance: recipient gets £252 tax reduction
-  if (marriageAllowance) {
-    incomeTax = Math.max(0, incomeTax - MARRIAGE_ALLOWANCE_RELIEF);
+  let incomeTax = payTax + layeredTax.savingsTax + layeredTax.dividendTax;
+
+  // Marriage allowance: recipient gets 20% of the transferred allowance (£252)
+  if (marriageAllowance && !isMATransferor && !useCode) {
+    const relief = rules.marriageAllowanceTransfer * MARRIAGE_ALLOWANCE_RELIEF_RATE;
+    incomeTax = Math.max(0, incomeTax - relief);
   }
 
-  // 6. National Insurance (on gross, not after pension sacrifice)
-  const ni = calcNI(grossAnnual);
+  // 6. National Insurance (on gross, less any salary sacrifice), by the
+  //    category letter that applies at the given age
+  const niLetter = getNICategoryForAge(niCategory, age);
+  const niBreakdown = calculateNIBreakdown(niablePay, rules, niLetter.category);
+  const ni = calcNI(niablePay, rules, niLetter.category);
 
-  // 7. Student loan
-  const studentLoanRepayment = calcStudentLoan(grossAnnual, studentLoan);
+  // 7. Student loan (same earnings as NI)
+  const studentLoanBreakdown = calculateStudentLoanBreakdown(niablePay, studentLoan, rules);
+  const studentLoanRepayment = studentLoanBreakdown.reduce((sum, loan) => sum + loan.repayment, 0);
 
-  // 8. Take-home
-  const takeHome = grossAnnual - incomeTax - ni - pensionAnnual - studentLoanRepayment;
+  // 8. Take-home, including savings and dividends after their tax
+  const totalIncome = grossAnnual + otherIncome;
+  const takeHome = totalIncome - incomeTax - ni - pensionAnnual - studentLoanRepayment;
 
   // 9. Rates
   const totalDeductions = incomeTax + ni;
-  const effectiveTaxRate = grossAnnual > 0 ? (totalDeductions / grossAnnual) * 100 : 0;
+  const effectiveTaxRate = totalIncome > 0 ? (totalDeductions / totalIncome) * 100 : 0;
+
+  // Inside the taper each extra £1 also costs 50p of allowance, taxed at the same rate
+  const inTaper = !useCode
+    && adjustedIncome > rules.paTaperThreshold
+    && adjustedIncome < rules.paTaperThreshold + rules.personalAllowance * 2;
+  const marginalITRate = otherIncome > 0
+    ? getMarginalLayeredTaxRate(taxablePay, savingsAnnual, dividendsAnnual, pa, taxCountry, rules, bands, ukBands) * (inTaper ? 1.5 : 1)
+    : getMarginalIncomeTaxRate(taxablePay, taxCountry, pa, rules, bands) * (inTaper ? 1.5 : 1);
+  const marginalNIRate = getMarginalNIRate(niablePay, rules, niLetter.category);
 
-  const marginalITRate = getMarginalIncomeTaxRate(adjustedIncome, country, pa);
-  const marginalNIRate = getMarginalNIRate(grossAnnual);
   const marginalRate = (marginalITRate + marginalNIRate) * 100;
 
+  // 10. Auto-enrolment minimums on qualifying earnings (employee share includes tax relief)
+  const qualifyingEarnings = calcPensionablePay(grossAnnual, 'qualifying', rules);
+  const autoEnrolmentMinimum = {
+    employer: qualifyingEarnings * AUTO_ENROLMENT_MIN_EMPLOYER,
+    total:    qualifyingEarnings * AUTO_ENROLMENT_MIN_TOTAL,
+  };
+  const meetsAutoEnrolmentMinimum = employerPensionAnnual >= autoEnrolmentMinimum.employer
+    && pensionContribution + employerPensionAnnual >= autoEnrolmentMinimum.total;
+
+  // 11. Employer costs — secondary NI on the same earnings as employee NI, less
+  //     any Employment Allowance, plus the Apprenticeship Levy
+  const employerNIBreakdown = calculateEmployerNIBreakdown(niablePay, rules, niLetter.category);
+  const employerNIDue = employerNIBreakdown.reduce((sum, band) => sum + band.taxInBand, 0);
+  const employmentAllowanceUsed = employmentAllowance
+    ? Math.min(employerNIDue, rules.employerNI.employmentAllowance)
+    : 0;
+  const employerNI = employerNIDue - employmentAllowanceUsed;
+  const apprenticeshipLevy = paysApprenticeshipLevy ? niablePay * APPRENTICESHIP_LEVY_RATE : 0;
+  const employerCost = grossAnnual + employerPensionAnnual + employerNI + apprenticeshipLevy;
+
+  // 12. Child Benefit — the charge and the childcare cliff edge use adjusted net income
+  const childBenefit = children > 0 ? calculateChildBenefitCharge(adjustedIncome, children, rules) : null;
+
+  // 13. Pension annual allowance — everything paid in by you and your employer.
+  //     Threshold income takes off net pay and relief at source contributions
+  //     but not salary sacrifice; adjusted income adds back every contribution.
+  const annualAllowance = calculateAnnualAllowance({
+    pensionInput:    pensionContribution + employerPensionAnnual,
+    thresholdIncome: totalIncome - (pensionScheme === 'sacrifice' ? 0 : pensionContribution),
+    adjustedIncome:  totalIncome + employerPensionAnnual,
+    taxableIncome,
+    bands:           countryBands,
+    taxYear:         rules.label,
+    previousPensionInputs,
+  });
+
   return {
+    taxYear: rules.label,
+    provisional: rules.provisional,
+    taxCode: code,
+    taxCountry,
+
     // Annual figures
     grossAnnual,
     incomeTax,
     ni,
     pensionAnnual,
     studentLoanRepayment,
+    studentLoanBreakdown,
     takeHome,
 
+    // Pension detail
+    pensionScheme,
+    pensionContribution,
+    pensionTaxRelief,
+    employerPensionAnnual,
+    autoEnrolmentMinimum,
+    meetsAutoEnrolmentMinimum,
+
+    // Employer
+    niCategory: niLetter.category,
+    niCategoryReason: niLetter.reason,
+    employerNIBreakdown,
+    employerNIDue,
+    employmentAllowanceUsed,
+    employerNI,
+    apprenticeshipLevy,
+    employerCost,
+
+    // Savings and dividends
+    savingsInterest: savingsAnnual,
+    dividends: dividendsAnnual,
+    otherIncome,
+    totalIncome,
+    personalSavingsAllowance: layeredTax.personalSavingsAllowance,
+    savingsBreakdown: layeredTax.savingsBreakdown,
+    dividendBreakdown: layeredTax.dividendBreakdown,
+    savingsTax: layeredTax.savingsTax,
+    dividendTax: layeredTax.dividendTax,
+
+    // Child Benefit (null without children)
+    childBenefit,
+
+    // Pension annual allowance
+    annualAllowance,
+
     // Derived
     personalAllowance: pa,
+    adjustedIncome,
+    taxableIncome,
+    taxBreakdown,
+    niBreakdown,
     effectiveTaxRate,
     marginalRate,
 
@@ -358,6 +1365,1160 @@ function calculate(params) {
   };
 }
 
+/* ─────────────────────────────────────────────
+   JOB PACKAGES
+───────────────────────────────────────────── */
+
+/**
+ * Run a job package — salary plus cash extras — through the full calculation.
+ * Car allowances and bonuses are taxed as pay, but pension contributions are
+ * worked out on basic salary only, as most schemes do.
+ *
+ * @param {object} pkg
+ * @param {number} pkg.salary                Basic annual salary
+ * @param {number} [pkg.carAllowance]        Annual cash car allowance
+ * @param {number} [pkg.bonus]               Expected annual bonus
+ * @param {number} [pkg.pensionValue]        Employee pension, % of basic salary
+ * @param {number} [pkg.employerPensionValue] Employer pension, % of basic salary
+ * @param {string} [pkg.pensionScheme]
+ * @param {string} pkg.country
+ * @param {string} pkg.studentLoan
+ * @param {string} [pkg.taxYear]
+ *
+ * @returns {object} calculate() result plus { packageGross, pensionPot, totalReward }
+ */
+function calculatePackage(pkg) {
+  const {
+    salary = 0,
+    carAllowance = 0,
+    bonus = 0,
+    pensionValue = 0,
+    employerPensionValue = 0,
+    ...options
+  } = pkg;
+
+  const basic = Math.max(0, salary);
+  const grossAnnual = basic + Math.max(0, carAllowance) + Math.max(0, bonus);
+  const result = calculate({
+    ...options,
+    salaryAmount: grossAnnual,
+    salaryPeriod: 'annual',
+    pensionValue: basic * (pensionValue / 100),
+    pensionUnit:  'fixed',
+    employerPensionValue: basic * (employerPensionValue / 100),
+    employerPensionUnit:  'fixed',
+  });
+
+  const pensionPot = result.pensionContribution + result.employerPensionAnnual;
+
+  return {
+    ...result,
+    packageGross: grossAnnual + result.employerPensionAnnual,
+    pensionPot,
+    totalReward:  result.takeHome + pensionPot,
+  };
+}
+
+/* ─────────────────────────────────────────────
+   RATE CURVE
+───────────────────────────────────────────── */
+
+/**
+ * What the next slice of pay is worth after every deduction.
+ * Measured by running the full calculation twice, so it picks up the
+ * allowance taper and student loan repayments.
+ * @param {object} params  calculate() params
+ * @param {number} [rise]  Extra gross pay a year (default £1,000)
+ * @returns {object} { rise, incomeTax, ni, pension, studentLoan, takeHome, marginalRate }
+ */
+function calculatePayRise(params, rise = 1000) {
+  const before = calculate(params);
+  const after = calculate({
+    ...params,
+    salaryAmount: before.grossAnnual + rise,
+    salaryPeriod: 'annual',
+  });
+
+  const incomeTax   = after.incomeTax - before.incomeTax;
+  const ni          = after.ni - before.ni;
+  const studentLoan = after.studentLoanRepayment - before.studentLoanRepayment;
+
+  return {
+    rise,
+    incomeTax,
+    ni,
+    pension:     after.pensionAnnual - before.pensionAnnual,
+    studentLoan,
+    takeHome:    after.takeHome - before.takeHome,
+    marginalRate: rise > 0 ? ((incomeTax + ni + studentLoan) / rise) * 100 : 0,
+  };
+}
+
+/**
+ * Effective and marginal rates (income tax, NI and student loan) across a
+ * range of salaries, for charting.
+ * @param {object} params       calculate() params — salaryAmount is ignored
+ * @param {number} [maxSalary]  Highest salary (default £200,000)
+ * @param {number} [step]       Gap between points (default £500)
+ * @returns {Array<{salary: number, effectiveRate: number, marginalRate: number}>}
+ */
+function calculateRateCurve(params, maxSalary = 200000, step = 500) {
+  const deductionsAt = salary => {
+    const r = calculate({ ...params, salaryAmount: salary, salaryPeriod: 'annual' });
+    return r.incomeTax + r.ni + r.studentLoanRepayment;
+  };
+
+  const points = [];
+  let current = deductionsAt(0);
+  for (let salary = 0; salary <= maxSalary; salary += step) {
+    const next = deductionsAt(salary + step);
+    points.push({
+      salary,
+      effectiveRate: salary > 0 ? (current / salary) * 100 : 0,
+      marginalRate:  ((next - current) / step) * 100,
+    });
+    current = next;
+  }
+  return points;
+}
+
+/**
+ * Gross salaries where the rates change: tax bands, NI thresholds, the
+ * allowance taper and student loan thresholds.
+ * Band limits assume the standard Personal Allowance.
+ * @param {string} country
+ * @param {string} [taxYear]
+ * @returns {Array<{salary: number, label: string, kind: string, plan?: string}>}
+ *          kind is 'band'|'ni'|'taper'|'loan'
+ */
+function getRateThresholds(country, taxYear) {
+  const rules = getTaxYearRules(taxYear);
+  const pa = rules.personalAllowance;
+  const taperStart = rules.paTaperThreshold;
+  const taperEnd = taperStart + pa * 2;
+
+  // Gross salary at which taxable income reaches a band limit
+  const grossAt = limit => {
+    if (pa + limit <= taperStart) return pa + limit;
+    // In the taper: gross − (pa − (gross − taperStart) / 2) = limit
+    const gross = Math.round((limit + pa + taperStart / 2) / 1.5);
+    // Past the taper there's no allowance left, so gross is the limit itself
+    return gross < taperEnd ? gross : limit;
+  };
+
+  const bands = getBands(country, rules);
+  const thresholds = bands.map((band, i) => ({
+    salary: i === 0 ? pa : grossAt(bands[i - 1].limit),
+    label:  band.name,
+    kind:   'band',
+  }));
+
+  thresholds.push(
+    { salary: rules.ni.primaryThreshold,   label: 'NI primary threshold', kind: 'ni' },
+    { salary: rules.ni.upperEarningsLimit, label: 'NI upper earnings limit', kind: 'ni' },
+    { salary: taperStart,                  label: 'Allowance taper starts', kind: 'taper' },
+    { salary: taperEnd,                    label: 'Allowance fully lost', kind: 'taper' },
+  );
+
+  Object.entries(rules.studentLoanPlans).forEach(([plan, { threshold }]) => {
+    thresholds.push({ salary: threshold, label: 'Student loan', kind: 'loan', plan });
+  });
+
+  return thresholds.sort((a, b) => a.salary - b.salary);
+}
+
+/* ─────────────────────────────────────────────
+   NET TO GROSS
+───────────────────────────────────────────── */
+
+// Gross salaries are searched up to this before giving up
+const NET_TO_GROSS_MAX_GROSS = 10000000;
+
+/**
+ * Find the lowest gross pay that gives at least a target net pay.
+ * Works with any gross-to-net function. Net pay isn't assumed to rise
+ * smoothly: the bracket is scanned before bisecting, so a cliff edge (where
+ * net pay falls as gross rises) can't hide a lower answer. When no gross
+ * gives the target exactly, the result is the first gross that beats it.
+ *
+ * @param {function(number): number} netAt  Net pay for a gross amount
+ * @param {number} targetNet
+ * @param {object} [options]
+ * @param {number} [options.maxGross]  Search limit (default £10m)
+ * @returns {object|null} { gross, net, exact } or null if out of range
+ */
+function solveGrossForNet(netAt, targetNet, { maxGross = NET_TO_GROSS_MAX_GROSS } = {}) {
+  if (netAt(0) >= targetNet) {
+    return { gross: 0, net: netAt(0), exact: netAt(0) === targetNet };
+  }
+
+  // 1. Bracket the answer by doubling
+  let low = 0;
+  let high = Math.max(1000, targetNet);
+  while (netAt(high) < targetNet) {
+    low = high;
+    high *= 2;
+    if (low > maxGross) return null;
+  }
+
+  // 2. Narrow to the first step of the bracket that reaches the target
+  const SCAN_STEPS = 200;
+  const step = (high - low) / SCAN_STEPS;
+  for (let gross = low + step; gross < high; gross += step) {
+    if (netAt(gross) >= targetNet) {
+      high = gross;
+      break;
+    }
+    low = gross;
+  }
+
+  // 3. Bisect to the penny
+  while (high - low > 0.005) {
+    const mid = (low + high) / 2;
+    if (netAt(mid) >= targetNet) high = mid;
+    else low = mid;
+  }
+
+  const gross = Math.ceil(high * 100) / 100;
+  const net = netAt(gross);
+  return { gross, net, exact: net - targetNet < 0.01 };
+}
+
+/**
+ * Gross salary needed for a target take-home under the UK engine.
+ * @param {object} params      calculate() params — salaryAmount is ignored
+ * @param {number} targetNet   Take-home wanted
+ * @param {string} [targetPeriod]  'annual'|'monthly'|'weekly' (default 'annual')
+ * @returns {object|null} { gross, grossAnnual, net, exact, result } or null if out of range
+ */
+function calculateGrossForNet(params, targetNet, targetPeriod = 'annual') {
+  const targetAnnual = toAnnual(targetNet, targetPeriod);
+  const takeHomeAt = gross => calculate({ ...params, salaryAmount: gross, salaryPeriod: 'annual' }).takeHome;
+
+  const solved = solveGrossForNet(takeHomeAt, targetAnnual);
+  if (!solved) return null;
+
+  return {
+    gross:       solved.gross / toAnnual(1, targetPeriod),
+    grossAnnual: solved.gross,
+    net:         solved.net,
+    exact:       solved.exact,
+    result:      calculate({ ...params, salaryAmount: solved.gross, salaryPeriod: 'annual' }),
+  };
+}
+
+/* ─────────────────────────────────────────────
+   MARRIAGE ALLOWANCE (COUPLES)
+───────────────────────────────────────────── */
+
+// Recipients must not pay tax above the basic rate (Scottish intermediate counts as basic)
+const MARRIAGE_ALLOWANCE_MAX_RECIPIENT_RATE = 0.21;
+
+/**
+ * Check whether one partner can transfer marriage allowance to the other.
+ * @param {object} transferor  calculate() result without the transfer
+ * @param {object} recipient   calculate() result without the transfer
+ * @returns {{eligible: boolean, reasons: string[]}}
+ */
+function checkMarriageAllowanceEligibility(transferor, recipient) {
+  const rules = getTaxYearRules(transferor.taxYear);
+  const reasons = [];
+
+  if (transferor.adjustedIncome > rules.personalAllowance) {
+    reasons.push(`The lower earner's income is over the ${formatCurrency(rules.personalAllowance)} personal allowance.`);
+  }
+
+  const recipientTopRate = recipient.taxBreakdown.length
+    ? recipient.taxBreakdown[recipient.taxBreakdown.length - 1].rate
+    : 0;
+  if (recipientTopRate > MARRIAGE_ALLOWANCE_MAX_RECIPIENT_RATE) {
+    reasons.push('The higher earner pays tax above the basic rate.');
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+/**
+ * Calculate marriage allowance for a couple. The lower earner is treated as
+ * the transferor; both sides of the transfer are applied.
+ *
+ * @param {object} partnerA  calculate() params for the first partner
+ * @param {object} partnerB  calculate() params for the second partner
+ * @returns {object} Both partners with and without the transfer, plus the household gain
+ */
+function calculateCouple(partnerA, partnerB) {
+  const baseA = calculate({ ...partnerA, marriageAllowance: false });
+  const baseB = calculate({ ...partnerB, marriageAllowance: false });
+
+  const transferorKey = baseA.adjustedIncome <= baseB.adjustedIncome ? 'a' : 'b';
+  const [transferorBase, recipientBase] = transferorKey === 'a' ? [baseA, baseB] : [baseB, baseA];
+  const { eligible, reasons } = checkMarriageAllowanceEligibility(transferorBase, recipientBase);
+
+  const withA = calculate({ ...partnerA, marriageAllowance: transferorKey === 'a' ? 'transferor' : 'recipient' });
+  const withB = calculate({ ...partnerB, marriageAllowance: transferorKey === 'b' ? 'transferor' : 'recipient' });
+
+  const taxBefore = baseA.incomeTax + baseB.incomeTax;
+  const taxAfter = withA.incomeTax + withB.incomeTax;
+
+  return {
+    eligible,
+    reasons,
+    transferor: transferorKey,
+    recipient: transferorKey === 'a' ? 'b' : 'a',
+    transferAmount: getTaxYearRules(baseA.taxYear).marriageAllowanceTransfer,
+    without: { a: baseA, b: baseB },
+    with:    { a: withA, b: withB },
+    taxBefore,
+    taxAfter,
+    householdGain: taxBefore - taxAfter,
+  };
+}
+
+/* ─────────────────────────────────────────────
+   PENSION ANNUAL ALLOWANCE
+───────────────────────────────────────────── */
+
+// Unused allowance can be carried forward from this many earlier tax years
+const CARRY_FORWARD_YEARS = 3;
+
+// Annual allowance in years before TAX_YEARS starts, for carry-forward
+const EARLIER_ANNUAL_ALLOWANCES = { '2020/21': 40000, '2021/22': 40000, '2022/23': 40000 };
+
+/**
+ * The tax year before a given one, e.g. '2025/26' → '2024/25'.
+ * @param {string} taxYear
+ * @returns {string}
+ */
+function getPreviousTaxYear(taxYear) {
+  const start = parseInt(taxYear, 10) - 1;
+  return `${start}/${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * The standard (untapered) annual allowance for a tax year.
+ * @param {string} taxYear
+ * @returns {number|null} null if the year isn't known
+ */
+function getStandardAnnualAllowance(taxYear) {
+  if (TAX_YEARS[taxYear]) return TAX_YEARS[taxYear].annualAllowance.standard;
+  return EARLIER_ANNUAL_ALLOWANCES[taxYear] ?? null;
+}
+
+/**
+ * Annual allowance after the taper for high earners.
+ * @param {number} thresholdIncome
+ * @param {number} adjustedIncome
+ * @param {object} aa  Annual allowance rules
+ * @returns {number}
+ */
+function calcTaperedAnnualAllowance(thresholdIncome, adjustedIncome, aa) {
+  if (thresholdIncome <= aa.thresholdIncomeLimit || adjustedIncome <= aa.adjustedIncomeLimit) {
+    return aa.standard;
+  }
+  const reduction = Math.floor((adjustedIncome - aa.adjustedIncomeLimit) / 2);
+  return Math.max(aa.minimum, aa.standard - reduction);
+}
+
+/**
+ * Check pension savings against the annual allowance. This year's allowance
+ * is used first, then unused allowance from the three previous years, oldest
+ * first. Earlier years are assumed to have had the standard allowance. Any
+ * excess is added to taxable income and taxed at the member's marginal rates.
+ *
+ * @param {object} params
+ * @param {number} params.pensionInput     Employee (gross) and employer contributions
+ * @param {number} params.thresholdIncome
+ * @param {number} params.adjustedIncome
+ * @param {number} params.taxableIncome    Income already taxed, for the charge
+ * @param {Array}  params.bands            Bands the charge is worked out with
+ * @param {string} params.taxYear
+ * @param {Array<number|null>} [params.previousPensionInputs] Most recent year first;
+ *                                         null for a year without a pension scheme
+ *
+ * @returns {object} Allowance, carry-forward by year, excess and charge
+ */
+function calculateAnnualAllowance(params) {
+  const { pensionInput, thresholdIncome, adjustedIncome, taxableIncome, bands, taxYear, previousPensionInputs = [] } = params;
+  const aa = getTaxYearRules(taxYear).annualAllowance;
+  const allowance = calcTaperedAnnualAllowance(thresholdIncome, adjustedIncome, aa);
+
+  // Only needed once this year's allowance is used up
+  let overAllowance = Math.max(0, pensionInput - allowance);
+  let year = taxYear;
+  const carryForward = [];
+  for (let i = 0; i < CARRY_FORWARD_YEARS; i++) {
+    year = getPreviousTaxYear(year);
+    const input = previousPensionInputs[i];
+    const member = input !== null && input !== undefined;
+    const yearAllowance = getStandardAnnualAllowance(year);
+    carryForward.unshift({
+      taxYear: year,
+      member,
+      allowance: yearAllowance,
+      pensionInput: member ? Math.max(0, input) : 0,
+      unused: member ? Math.max(0, yearAllowance - input) : 0,
+      used: 0,
+    });
+  }
+  carryForward.forEach(entry => {
+    entry.used = Math.min(entry.unused, overAllowance);
+    overAllowance -= entry.used;
+  });
+
+  const carryForwardAvailable = carryForward.reduce((sum, entry) => sum + entry.unused, 0);
+  const carryForwardUsed = carryForward.reduce((sum, entry) => sum + entry.used, 0);
+  const excess = overAllowance;
+  const charge = applyBands(taxableIncome + excess, bands) - applyBands(taxableIncome, bands);
+
+  return {
+    taxYear,
+    pensionInput,
+    thresholdIncome,
+    adjustedIncome,
+    standardAllowance: aa.standard,
+    allowance,
+    tapered: allowance < aa.standard,
+    carryForward,
+    carryForwardAvailable,
+    carryForwardUsed,
+    totalAvailable: allowance + carryForwardAvailable,
+    headroom: Math.max(0, allowance + carryForwardAvailable - pensionInput),
+    excess,
+    charge,
+    chargeRate: excess > 0 ? charge / excess : 0,
+  };
+}
+
+/* ─────────────────────────────────────────────
+   STUDENT LOAN PROJECTION
+───────────────────────────────────────────── */
+
+// Years from the April after leaving the course until what's left is written
+// off. Plan 1 loans taken before September 2006, and Plan 4 loans taken before
+// August 2007, are written off at 65 instead.
+const STUDENT_LOAN_WRITE_OFF_YEARS = {
+  plan1:    25,
+  plan2:    30,
+  plan4:    30,
+  plan5:    40,
+  postgrad: 30,
+};
+
+/**
+ * The tax year a number of years after a given one, e.g. '2025/26', 2 → '2027/28'.
+ * @param {string} taxYear
+ * @param {number} years
+ * @returns {string}
+ */
+function getLaterTaxYear(taxYear, years) {
+  const start = parseInt(taxYear, 10) + years;
+  return `${start}/${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * Student loan thresholds for a tax year, including years after the last one
+ * in TAX_YEARS — those start from the latest thresholds and grow each year.
+ * @param {string} taxYear
+ * @param {number} thresholdGrowth  % a year, for years not in TAX_YEARS
+ * @returns {object} Rules with just studentLoanPlans
+ */
+function getProjectedLoanRules(taxYear, thresholdGrowth) {
+  if (TAX_YEARS[taxYear]) return TAX_YEARS[taxYear];
+
+  const latest = Object.keys(TAX_YEARS).pop();
+  const growth = (1 + thresholdGrowth / 100) ** (parseInt(taxYear, 10) - parseInt(latest, 10));
+  const studentLoanPlans = {};
+  Object.entries(TAX_YEARS[latest].studentLoanPlans).forEach(([plan, config]) => {
+    studentLoanPlans[plan] = { ...config, threshold: Math.round(config.threshold * growth) };
+  });
+  return { studentLoanPlans };
+}
+
+/**
+ * Project student loan balances year by year until each is repaid or written
+ * off. Interest is added on the balance at the start of each year, then that
+ * year's repayments — worked out on all the loans still owed, as payroll does —
+ * are taken off. A plan not yet repayable in a year (Plan 5 before 2026/27)
+ * just gathers interest.
+ *
+ * @param {object} params
+ * @param {Array<{plan: string, balance: number, interestRate?: number, yearsRepaid?: number}>} params.loans
+ *                                         interestRate is % a year; yearsRepaid counts tax years
+ *                                         since repayments were first due, towards write-off
+ * @param {number} params.salary           Earnings in the first year
+ * @param {number} [params.salaryGrowth]   % a year (default 0)
+ * @param {number} [params.thresholdGrowth] % a year for thresholds after the latest known year (default 0)
+ * @param {string} [params.taxYear]        First year of the projection
+ *
+ * @returns {object} { loans: [...], schedule: [...], years, totalPaid, totalInterest, writtenOff }
+ */
+function projectStudentLoans(params) {
+  const { loans = [], salary = 0, salaryGrowth = 0, thresholdGrowth = 0 } = params;
+  const taxYear = getTaxYearRules(params.taxYear).label;
+
+  const accounts = loans
+    .filter(loan => STUDENT_LOAN_WRITE_OFF_YEARS[loan.plan] && loan.balance > 0)
+    .map(loan => ({
+      plan:          loan.plan,
+      balance:       loan.balance,
+      interestRate:  Math.max(0, loan.interestRate || 0),
+      writeOffYears: STUDENT_LOAN_WRITE_OFF_YEARS[loan.plan],
+      yearsLeft:     Math.max(0, STUDENT_LOAN_WRITE_OFF_YEARS[loan.plan] - Math.max(0, loan.yearsRepaid || 0)),
+      outstanding:   loan.balance,
+      totalPaid:     0,
+      totalInterest: 0,
+      years:         0,
+      outcome:       null,
+      writtenOff:    0,
+    }));
+
+  // Already past the write-off date
+  accounts.filter(account => account.yearsLeft === 0).forEach(account => {
+    account.outcome = 'written-off';
+    account.writtenOff = account.outstanding;
+    account.outstanding = 0;
+  });
+
+  const schedule = [];
+  for (let year = 1; accounts.some(account => !account.outcome); year++) {
+    const label = getLaterTaxYear(taxYear, year - 1);
+    const earnings = salary * (1 + salaryGrowth / 100) ** (year - 1);
+    const owed = accounts.filter(account => !account.outcome);
+    const breakdown = calculateStudentLoanBreakdown(
+      earnings,
+      owed.map(account => account.plan),
+      getProjectedLoanRules(label, thresholdGrowth)
+    );
+
+    const row = { year, taxYear: label, salary: earnings, openingBalance: 0, interest: 0, repayment: 0, closingBalance: 0, loans: [] };
+    owed.forEach(account => {
+      const interest = account.outstanding * account.interestRate / 100;
+      const due = breakdown.find(loan => loan.plan === account.plan);
+      const repayment = Math.min(due ? due.repayment : 0, account.outstanding + interest);
+
+      row.openingBalance += account.outstanding;
+      account.outstanding += interest - repayment;
+      account.totalInterest += interest;
+      account.totalPaid += repayment;
+      account.years = year;
+
+      if (account.outstanding < 0.01) {
+        account.outstanding = 0;
+        account.outcome = 'repaid';
+      } else if (year >= account.yearsLeft) {
+        account.outcome = 'written-off';
+        account.writtenOff = account.outstanding;
+      }
+
+      row.interest += interest;
+      row.repayment += repayment;
+      row.loans.push({ plan: account.plan, interest, repayment, closingBalance: account.outstanding });
+    });
+    row.closingBalance = accounts.reduce((sum, account) => sum + (account.outcome === 'written-off' ? 0 : account.outstanding), 0);
+    schedule.push(row);
+  }
+
+  const total = key => accounts.reduce((sum, account) => sum + account[key], 0);
+
+  return {
+    taxYear,
+    salary,
+    salaryGrowth,
+    thresholdGrowth,
+    loans: accounts.map(({ outstanding, ...account }) => account),
+    schedule,
+    years: schedule.length,
+    totalPaid:     total('totalPaid'),
+    totalInterest: total('totalInterest'),
+    writtenOff:    total('writtenOff'),
+  };
+}
+
+/* ─────────────────────────────────────────────
+   SELF-EMPLOYMENT
+───────────────────────────────────────────── */
+
+// Trading income up to this is tax-free, or it can be deducted instead of expenses
+const TRADING_ALLOWANCE = 1000;
+
+// Self Assessment bills over this are paid in advance, in two halves
+const PAYMENTS_ON_ACCOUNT_THRESHOLD = 1000;
+
+/**
+ * Class 4 NI on profits, split across the main and upper rates.
+ * @param {number} profit
+ * @param {object} class4  Tax year selfEmployed.class4 rules
+ * @returns {Array<{bandName: string, rate: number, amountInBand: number, taxInBand: number}>}
+ */
+function calculateClass4Breakdown(profit, class4) {
+  return calculateNIBreakdown(profit, {
+    ni: {
+      primaryThreshold:   class4.lowerProfitsLimit,
+      upperEarningsLimit: class4.upperProfitsLimit,
+      rateStandard:       class4.rateMain,
+      rateUpper:          class4.rateUpper,
+    },
+  });
+}
+
+/**
+ * Whether Class 2 NI is paid, credited for free or only voluntary at a profit level.
+ * @param {number} profit
+ * @param {object} class2  Tax year selfEmployed.class2 rules
+ * @returns {'payable'|'credited'|'voluntary'}
+ */
+function getClass2Status(profit, class2) {
+  if (class2.payableFrom !== null && profit >= class2.payableFrom) return 'payable';
+  if (profit >= class2.smallProfitsThreshold) return 'credited';
+  return 'voluntary';
+}
+
+/**
+ * Self Assessment payment dates for a year's bill, assuming profits (and so
+ * the bill) are the same the year before and the year after. Class 2 and
+ * student loan repayments are paid with the balancing payment, not in advance.
+ *
+ * @param {object}  rules      Tax year rules
+ * @param {number}  advanceBill  Income tax and Class 4 NI
+ * @param {number}  otherBill    Class 2 NI and student loan
+ * @param {boolean} firstYear    No payments on account were made towards this year
+ * @returns {{ due: boolean, amount: number, schedule: Array<{date: string, label: string, amount: number}> }}
+ */
+function calculatePaymentsOnAccount(rules, advanceBill, otherBill, firstYear) {
+  const due = advanceBill > PAYMENTS_ON_ACCOUNT_THRESHOLD;
+  const amount = due ? advanceBill / 2 : 0;
+  const startYear = Number(rules.startDate.slice(0, 4));
+  const [, endShort] = rules.label.split('/');
+  const nextLabel = `${startYear + 1}/${String(Number(endShort) + 1).padStart(2, '0')}`;
+  const paidInAdvance = firstYear ? 0 : amount * 2;
+
+  const schedule = [];
+  if (due && !firstYear) {
+    schedule.push(
+      { date: `${startYear + 1}-01-31`, label: `1st payment on account for ${rules.label}`, amount },
+      { date: `${startYear + 1}-07-31`, label: `2nd payment on account for ${rules.label}`, amount },
+    );
+  }
+  schedule.push({ date: `${startYear + 2}-01-31`, label: `Balancing payment for ${rules.label}`, amount: advanceBill + otherBill - paidInAdvance });
+  if (due) {
+    schedule.push(
+      { date: `${startYear + 2}-01-31`, label: `1st payment on account for ${nextLabel}`, amount },
+      { date: `${startYear + 2}-07-31`, label: `2nd payment on account for ${nextLabel}`, amount },
+    );
+  }
+
+  return { due, amount, schedule };
+}
+
+/**
+ * Income tax, Class 4 and Class 2 NI and student loan for a sole trader,
+ * with the Self Assessment payments that follow.
+ *
+ * @param {object} params
+ * @param {number}  params.turnover     Trading income for the year
+ * @param {number}  [params.expenses]   Allowable expenses
+ * @param {boolean} [params.useTradingAllowance] Deduct the £1,000 trading allowance instead of expenses
+ * @param {string}  params.country      'england'|'scotland'|'wales'|'ni'
+ * @param {string}  [params.studentLoan]
+ * @param {boolean} [params.blindPerson]
+ * @param {number}  [params.age]        Age at the start of the tax year; no NI from State Pension age
+ * @param {boolean} [params.voluntaryClass2] Pay Class 2 where it's voluntary, to build State Pension years
+ * @param {boolean} [params.firstYear]  First year of trading, so no payments on account yet
+ * @param {string}  [params.taxYear]
+ *
+ * @returns {object} Full breakdown
+ */
+function calculateSelfEmployed(params) {
+  const {
+    turnover,
+    expenses = 0,
+    useTradingAllowance = false,
+    country,
+    studentLoan = 'none',
+    blindPerson = false,
+    age = null,
+    voluntaryClass2 = false,
+    firstYear = false,
+    taxYear,
+  } = params;
+
+  const rules = getTaxYearRules(taxYear);
+  const { class4, class2 } = rules.selfEmployed;
+
+  // 1. Profit — turnover less expenses, or less the trading allowance
+  const income = Math.max(0, turnover);
+  const deduction = useTradingAllowance ? Math.min(income, TRADING_ALLOWANCE) : Math.min(income, Math.max(0, expenses));
+  const profit = income - deduction;
+
+  // 2. Income tax
+  const pa = calcPersonalAllowance(profit, blindPerson, rules);
+  const bands = getBands(country, rules);
+  const taxableIncome = Math.max(0, profit - pa);
+  const taxBreakdown = calculateTaxBreakdown(taxableIncome, bands);
+  const incomeTax = applyBands(taxableIncome, bands);
+
+  // 3. National Insurance — none from State Pension age
+  const overStatePensionAge = age !== null && age >= STATE_PENSION_AGE;
+  const class4Breakdown = overStatePensionAge ? [] : calculateClass4Breakdown(profit, class4);
+  const class4NI = class4Breakdown.reduce((sum, band) => sum + band.taxInBand, 0);
+
+  const class2Status = overStatePensionAge ? 'none' : getClass2Status(profit, class2);
+  const class2Annual = class2.weeklyRate * WEEKS_PER_YEAR;
+  const class2NI = class2Status === 'payable' || (class2Status === 'voluntary' && voluntaryClass2) ? class2Annual : 0;
+
+  // 4. Student loan, collected through Self Assessment
+  const studentLoanRepayment = calcStudentLoan(profit, studentLoan, rules);
+
+  // 5. Take-home and rates
+  const takeHome = profit - incomeTax - class4NI - class2NI - studentLoanRepayment;
+  const effectiveTaxRate = profit > 0 ? ((incomeTax + class4NI + class2NI) / profit) * 100 : 0;
+
+  const inTaper = profit > rules.paTaperThreshold
+    && profit < rules.paTaperThreshold + rules.personalAllowance * 2;
+  const marginalITRate = getMarginalIncomeTaxRate(profit, country, pa, rules, bands) * (inTaper ? 1.5 : 1);
+  const marginalClass4Rate = overStatePensionAge || profit <= class4.lowerProfitsLimit ? 0
+    : profit <= class4.upperProfitsLimit ? class4.rateMain : class4.rateUpper;
+
+  // 6. Self Assessment payments
+  const paymentsOnAccount = calculatePaymentsOnAccount(rules, incomeTax + class4NI, class2NI + studentLoanRepayment, firstYear);
+
+  return {
+    taxYear: rules.label,
+    provisional: rules.provisional,
+    taxCountry: country,
+
+    turnover: income,
+    deduction,
+    usedTradingAllowance: useTradingAllowance,
+    profit,
+
+    personalAllowance: pa,
+    taxableIncome,
+    taxBreakdown,
+    incomeTax,
+
+    class4Breakdown,
+    class4NI,
+    class2Status,
+    class2Annual,
+    class2NI,
+    studentLoanRepayment,
+    takeHome,
+
+    effectiveTaxRate,
+    marginalRate: (marginalITRate + marginalClass4Rate) * 100,
+    paymentsOnAccount,
+
+    monthlyTakeHome: takeHome / MONTHS_PER_YEAR,
+  };
+}
+
+/* ─────────────────────────────────────────────
+   DIRECTOR PAY (SALARY VS DIVIDENDS)
+───────────────────────────────────────────── */
+
+// Salaries tried across the range when looking for the best split
+const DIRECTOR_SEARCH_STEPS = 400;
+
+/**
+ * Corporation tax on a company's taxable profit, with marginal relief
+ * between the lower and upper limits. Associated companies aren't counted.
+ * @param {number} profit
+ * @param {object} ct  Tax year corporationTax rules
+ * @returns {number}
+ */
+function calcCorporationTax(profit, ct) {
+  if (profit <= 0) return 0;
+  if (profit <= ct.lowerLimit) return profit * ct.smallProfitsRate;
+  if (profit >= ct.upperLimit) return profit * ct.mainRate;
+  return profit * ct.mainRate - (ct.upperLimit - profit) * ct.marginalReliefFraction;
+}
+
+/**
+ * The most a company can pay its director as salary before employer NI
+ * takes it into a loss.
+ * @param {number}  profit  Company profit before the director's pay
+ * @param {object}  rules   Tax year rules
+ * @param {boolean} employmentAllowance  Company can claim the Employment Allowance
+ * @returns {number} whole pounds
+ */
+function getMaxDirectorSalary(profit, rules, employmentAllowance) {
+  const { secondaryThreshold, rate } = rules.employerNI;
+  const allowance = employmentAllowance ? rules.employerNI.employmentAllowance : 0;
+  const noNetNI = secondaryThreshold + allowance / rate;
+  const max = profit <= noNetNI ? profit : (profit + secondaryThreshold * rate + allowance) / (1 + rate);
+  return Math.floor(Math.max(0, max));
+}
+
+/**
+ * Take-home for a director who pays themselves a salary and takes the rest
+ * of the company's profit, after corporation tax, as dividends.
+ *
+ * @param {object} params
+ * @param {number}  params.profit   Company profit before the director's pay
+ * @param {number}  params.salary   Director's salary (capped so the company doesn't make a loss)
+ * @param {string}  params.country  'england'|'scotland'|'wales'|'ni' — sets the salary's tax bands
+ * @param {string}  [params.taxYear]
+ * @param {boolean} [params.employmentAllowance] Company can claim the Employment Allowance. Not
+ *                                  available where the director is the only employee paid over
+ *                                  the secondary threshold
+ *
+ * @returns {object} Company and personal breakdown
+ */
+function calculateDirectorPay(params) {
+  const { profit, salary, country, taxYear, employmentAllowance = false } = params;
+  const rules = getTaxYearRules(taxYear);
+  const companyProfit = Math.max(0, profit);
+  const pay = Math.min(Math.max(0, salary), getMaxDirectorSalary(companyProfit, rules, employmentAllowance));
+
+  // 1. Company — salary and employer NI come off profit before corporation tax,
+  //    and everything left is paid out as dividends
+  const employerNIDue = calculateEmployerNIBreakdown(pay, rules)
+    .reduce((sum, band) => sum + band.taxInBand, 0);
+  const employmentAllowanceUsed = employmentAllowance
+    ? Math.min(employerNIDue, rules.employerNI.employmentAllowance)
+    : 0;
+  const employerNI = employerNIDue - employmentAllowanceUsed;
+  const taxableProfit = Math.max(0, companyProfit - pay - employerNI);
+  const corporationTax = calcCorporationTax(taxableProfit, rules.corporationTax);
+  const dividends = taxableProfit - corporationTax;
+
+  // 2. Director — dividends count towards the income that tapers the personal
+  //    allowance, which is set against salary first
+  const pa = calcPersonalAllowance(pay + dividends, false, rules);
+  const {
+    nonSavingsBreakdown: salaryTaxBreakdown,
+    nonSavingsTax: salaryTax,
+    dividendBreakdown: dividendTaxBreakdown,
+    dividendTax,
+  } = calculateLayeredIncomeTax({ nonSavings: pay, dividends }, pa, country, rules);
+  const employeeNI = calcNI(pay, rules);
+
+  const takeHome = pay - salaryTax - employeeNI + dividends - dividendTax;
+  const totalTax = employerNI + corporationTax + salaryTax + employeeNI + dividendTax;
+
+  return {
+    taxYear: rules.label,
+    provisional: rules.provisional,
+    taxCountry: country,
+
+    // Company
+    profit: companyProfit,
+    salary: pay,
+    employerNIDue,
+    employmentAllowanceUsed,
+    employerNI,
+    taxableProfit,
+    corporationTax,
+    dividends,
+
+    // Director
+    personalAllowance: pa,
+    salaryTaxBreakdown,
+    salaryTax,
+    employeeNI,
+    dividendTaxBreakdown,
+    dividendTax,
+    takeHome,
+
+    totalTax,
+    effectiveTaxRate: companyProfit > 0 ? (totalTax / companyProfit) * 100 : 0,
+  };
+}
+
+/**
+ * Find the salary that leaves the director with the most take-home, and
+ * compare it with the usual fixed salaries. Salaries are in whole pounds;
+ * where two give the same take-home the lower one is suggested.
+ *
+ * @param {object} params  calculateDirectorPay() params — salary is ignored
+ * @returns {{ best: object, splits: Array<{key: string, label: string, result: object}> }}
+ */
+function optimiseDirectorPay(params) {
+  const rules = getTaxYearRules(params.taxYear);
+  const maxSalary = getMaxDirectorSalary(Math.max(0, params.profit), rules, params.employmentAllowance);
+  const at = salary => calculateDirectorPay({ ...params, salary });
+
+  // Coarse pass across the range and at the thresholds, then to the pound around the best
+  const step = Math.max(1, Math.ceil(maxSalary / DIRECTOR_SEARCH_STEPS));
+  const thresholds = [rules.employerNI.secondaryThreshold, rules.ni.primaryThreshold, rules.personalAllowance];
+  const coarse = [...Array(DIRECTOR_SEARCH_STEPS + 1).keys()].map(i => i * step).concat(thresholds, maxSalary);
+
+  let best = null;
+  const consider = salary => {
+    if (salary < 0 || salary > maxSalary) return;
+    const result = at(salary);
+    if (!best || result.takeHome > best.takeHome + 0.005
+      || (Math.abs(result.takeHome - best.takeHome) <= 0.005 && result.salary < best.salary)) {
+      best = result;
+    }
+  };
+  coarse.forEach(consider);
+  const centre = best.salary;
+  for (let salary = centre - step; salary <= centre + step; salary++) consider(salary);
+
+  const splits = [
+    { key: 'none',      label: 'No salary',                        salary: 0 },
+    { key: 'secondary', label: 'Salary at the employer NI threshold', salary: rules.employerNI.secondaryThreshold },
+    { key: 'allowance', label: 'Salary at the personal allowance',  salary: rules.personalAllowance },
+    { key: 'all',       label: 'All salary',                       salary: maxSalary },
+  ]
+    .filter(split => split.salary <= maxSalary)
+    .map(split => ({ key: split.key, label: split.label, result: at(split.salary) }));
+
+  return { best, splits };
+}
+
+/* ─────────────────────────────────────────────
+   MULTIPLE INCOMES
+───────────────────────────────────────────── */
+
+/**
+ * Share the personal allowance across PAYE sources as tax codes, largest
+ * source first. The largest source keeps the bands (0T once the allowance
+ * has tapered away); others left without allowance get BR, or D0–D3 once
+ * the income before them reaches the higher bands.
+ *
+ * @param {number[]} amounts  Annual pay from each source
+ * @param {number}   pa       Personal allowance to share
+ * @param {string}   country
+ * @param {object}   rules    Tax year rules
+ * @returns {string[]} A code per source, in the order given
+ */
+function suggestTaxCodes(amounts, pa, country, rules) {
+  const bands = getBands(country, rules);
+  const basicIndex = bands.findIndex(band => band.name === 'Basic rate');
+  const flatRates = Object.keys(FLAT_RATE_BAND_OFFSET);
+  const prefix = { scotland: 'S', wales: 'C' }[country] || '';
+
+  const codes = [];
+  let allowanceLeft = Math.max(0, pa);
+  let taxableSoFar = 0;
+
+  amounts
+    .map((amount, index) => ({ amount: Math.max(0, amount), index }))
+    .sort((a, b) => b.amount - a.amount)
+    .forEach(({ amount, index }, rank) => {
+      const allowance = Math.min(amount, allowanceLeft);
+      const number = Math.floor(allowance / 10);
+      allowanceLeft -= allowance;
+
+      if (number > 0) {
+        codes[index] = `${prefix}${number}L`;
+      } else if (rank === 0) {
+        codes[index] = `${prefix}0T`;
+      } else {
+        const bandIndex = bands.findIndex(band => taxableSoFar < band.limit);
+        const offset = Math.max(0, bandIndex - basicIndex);
+        codes[index] = `${prefix}${flatRates[Math.min(offset, flatRates.length - 1)]}`;
+      }
+      taxableSoFar += amount - allowance;
+    });
+
+  return codes;
+}
+
+/**
+ * Tax across several jobs and pensions plus other income, against what PAYE
+ * takes from each source on its own. NI is worked out separately for each
+ * job, as it is in law; pensions pay none. Rental profit, savings interest
+ * and dividends have nothing withheld, so their tax is part of the
+ * difference to pay through Self Assessment or a tax code change.
+ *
+ * @param {object} params
+ * @param {Array<{name: string, type: string, amount: number, taxCode: string}>} params.sources
+ *        PAYE sources; type is 'job' or 'pension'. Without a tax code the first
+ *        source gets the standard allowance and the rest BR, as HMRC starts out
+ * @param {number} [params.rentalProfit]
+ * @param {number} [params.savingsInterest]
+ * @param {number} [params.dividends]
+ * @param {string} params.country
+ * @param {string} [params.taxYear]
+ *
+ * @returns {object} Each source's PAYE, the combined bill and the difference
+ */
+function calculateMultipleIncomes(params) {
+  const { sources = [], rentalProfit = 0, savingsInterest = 0, dividends = 0, country, taxYear } = params;
+  const rules = getTaxYearRules(taxYear);
+
+  // 1. What each source withholds under its own code
+  const paye = sources.map((source, index) => {
+    const amount = Math.max(0, source.amount || 0);
+    const taxCode = (source.taxCode || '').trim() || (index === 0 ? '' : 'BR');
+    const isJob = source.type !== 'pension';
+    const r = calculate({
+      salaryAmount: amount,
+      salaryPeriod: 'annual',
+      country,
+      pensionValue: 0,
+      pensionUnit:  'percent',
+      studentLoan:  'none',
+      taxYear,
+      taxCode,
+    });
+
+    return {
+      name:        source.name || '',
+      type:        isJob ? 'job' : 'pension',
+      amount,
+      taxCode:     r.taxCode && r.taxCode.valid ? r.taxCode.code : '',
+      codeError:   r.taxCode && !r.taxCode.valid ? r.taxCode.error : null,
+      taxWithheld: r.incomeTax,
+      ni:          isJob ? r.ni : 0,
+    };
+  });
+
+  // 2. The true bill — one personal allowance across everything
+  const other = {
+    rentalProfit:    Math.max(0, rentalProfit),
+    savingsInterest: Math.max(0, savingsInterest),
+    dividends:       Math.max(0, dividends),
+  };
+  const payeIncome = paye.reduce((sum, source) => sum + source.amount, 0);
+  const totalIncome = payeIncome + other.rentalProfit + other.savingsInterest + other.dividends;
+  const pa = calcPersonalAllowance(totalIncome, false, rules);
+  const tax = calculateLayeredIncomeTax({
+    nonSavings: payeIncome + other.rentalProfit,
+    savings:    other.savingsInterest,
+    dividends:  other.dividends,
+  }, pa, country, rules);
+
+  const suggested = suggestTaxCodes(paye.map(source => source.amount), pa, country, rules);
+  paye.forEach((source, index) => { source.suggestedCode = suggested[index]; });
+
+  const taxWithheld = paye.reduce((sum, source) => sum + source.taxWithheld, 0);
+  const ni = paye.reduce((sum, source) => sum + source.ni, 0);
+
+  return {
+    taxYear: rules.label,
+    provisional: rules.provisional,
+    taxCountry: country,
+
+    sources: paye,
+    ...other,
+    totalIncome,
+    personalAllowance: pa,
+    tax,
+
+    incomeTax: tax.tax,
+    taxWithheld,
+    taxDifference: tax.tax - taxWithheld,
+    ni,
+    takeHome: totalIncome - tax.tax - ni,
+    effectiveTaxRate: totalIncome > 0 ? ((tax.tax + ni) / totalIncome) * 100 : 0,
+  };
+}
+
+/* ─────────────────────────────────────────────
+   RESULT EXPORT
+───────────────────────────────────────────── */
+
+// Divisors from annual amounts to each exported period
+const EXPORT_PERIODS = {
+  annual:  1,
+  monthly: MONTHS_PER_YEAR,
+  weekly:  WEEKS_PER_YEAR,
+  daily:   WORKING_DAYS_PER_YEAR,
+  hourly:  WORKING_HOURS_PER_YEAR,
+};
+
+const EXPORT_COLUMNS = ['section', 'item', 'rate_percent', ...Object.keys(EXPORT_PERIODS)];
+
+// calculate() result field for each row of the pay section
+const EXPORT_PAY_ITEMS = [
+  ['gross',              'grossAnnual'],
+  ['savings_interest',   'savingsInterest'],
+  ['dividends',          'dividends'],
+  ['income_tax',         'incomeTax'],
+  ['national_insurance', 'ni'],
+  ['pension',            'pensionAnnual'],
+  ['student_loan',       'studentLoanRepayment'],
+  ['take_home',          'takeHome'],
+  ['employer_pension',   'employerPensionAnnual'],
+  ['employer_ni',        'employerNI'],
+  ['apprenticeship_levy', 'apprenticeshipLevy'],
+  ['employer_cost',      'employerCost'],
+  ['personal_allowance', 'personalAllowance'],
+  ['taxable_income',     'taxableIncome'],
+];
+
+/**
+ * Flatten a calculate() result into rows for spreadsheets. Every row has the
+ * columns in EXPORT_COLUMNS:
+ *
+ *   section       'pay' | 'income_tax_band' | 'ni_band' | 'employer_ni_band' | 'rate'
+ *   item          Field name (pay, rate) or band name (e.g. 'Higher rate', 'Main rate')
+ *   rate_percent  Band rate, or the rate itself for the rate section
+ *   annual … hourly  Amount for each period, to the penny. Daily and hourly use
+ *                 260 working days and 2,080 working hours a year.
+ *
+ * Deductions are positive amounts. Each band appears twice — item '<band>: income'
+ * for the pay falling in it and '<band>: tax' for what's charged on it.
+ *
+ * @param {object} result  calculate() result
+ * @returns {Array<object>}
+ */
+function getExportRows(result) {
+  const pence = value => Math.round(value * 100) / 100;
+  const row = (section, item, ratePercent, annual) => {
+    const out = { section, item, rate_percent: ratePercent };
+    Object.entries(EXPORT_PERIODS).forEach(([period, divisor]) => {
+      out[period] = annual === null ? null : pence(annual / divisor);
+    });
+    return out;
+  };
+
+  const bandRows = (section, bands) => bands.flatMap(band => [
+    row(section, `${band.bandName}: income`, pence(band.rate * 100), band.amountInBand),
+    row(section, `${band.bandName}: tax`, pence(band.rate * 100), band.taxInBand),
+  ]);
+
+  return [
+    ...EXPORT_PAY_ITEMS.map(([item, key]) => row('pay', item, null, result[key])),
+    ...bandRows('income_tax_band', result.taxBreakdown),
+    ...bandRows('income_tax_band', result.savingsBreakdown || []),
+    ...bandRows('income_tax_band', result.dividendBreakdown || []),
+    ...bandRows('ni_band', result.niBreakdown),
+    ...bandRows('employer_ni_band', result.employerNIBreakdown),
+    row('rate', 'effective_tax_rate', pence(result.effectiveTaxRate), null),
+    row('rate', 'marginal_rate', pence(result.marginalRate), null),
+  ];
+}
+
+/**
+ * Export rows as CSV (RFC 4180, header row first).
+ * @param {object} result  calculate() result
+ * @returns {string}
+ */
+function resultToCSV(result) {
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [EXPORT_COLUMNS, ...getExportRows(result).map(row => EXPORT_COLUMNS.map(col => row[col]))]
+    .map(cells => cells.map(cell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Export the full result as JSON: the inputs, the calculate() result as
+ * returned, and the same rows as the CSV (blank cells are null).
+ * @param {object} result  calculate() result
+ * @param {object} [inputs]  The params calculate() was run with
+ * @returns {string}
+ */
+function resultToJSON(result, inputs = {}) {
+  return JSON.stringify({
+    taxYear: result.taxYear,
+    inputs,
+    columns: EXPORT_COLUMNS,
+    rows: getExportRows(result),
+    result,
+  }, null, 2);
+}
+
 /* ─────────────────────────────────────────────
    FORMATTING HELPERS
 ───────────────────────────────────────────── */
@@ -387,11 +2548,54 @@ function formatPercent(value, decimals = 1) {
   return `${value.toFixed(decimals)}%`;
 }
 
-// Export for use in app.js
+// Export for use in app.js and script.js
 window.UKCalc = {
   calculate,
+  calculateAnnualAllowance,
+  calculateChildBenefitCharge,
+  calculateCouple,
+  calculateDirectorPay,
+  calculateLayeredIncomeTax,
+  calculateMultipleIncomes,
+  calculateGrossForNet,
+  calculatePayRise,
+  calculateRateCurve,
+  calculateSelfEmployed,
+  calculateTaxBreakdown,
+  calculateNIBreakdown,
+  calculateStudentLoanBreakdown,
+  calculateEmployerNIBreakdown,
+  calculatePackage,
+  explainTaxCode,
+  applyBands,
+  calcApprenticeshipLevy,
+  calcPension,
+  calcPensionablePay,
+  getBands,
+  getMaxDirectorSalary,
+  getExportRows,
+  getFlatRate,
+  getNICategoryForAge,
+  getRateThresholds,
+  getStudentLoanPlans,
+  getTaxYearRules,
+  getTaxYears,
+  optimiseDirectorPay,
+  parseTaxCode,
+  projectStudentLoans,
+  resultToCSV,
+  resultToJSON,
+  solveGrossForNet,
+  suggestTaxCodes,
   toAnnual,
   formatCurrency,
   formatPercent,
+  PENSION_RAS_RELIEF_RATE,
+  K_CODE_REGULATORY_LIMIT,
+  NI_CATEGORIES,
+  STATE_PENSION_AGE,
+  CHILDCARE_SUPPORT_LIMIT,
+  TRADING_ALLOWANCE,
+  EXPORT_COLUMNS,
   TAX_YEAR,
 };
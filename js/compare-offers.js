@@ -0,0 +1,203 @@
+/**
+ * PayCalcUK — Offer Comparison Controller
+ * Runs up to four job packages through the UK engine and compares them side by side
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const MIN_OFFERS = 2;
+const MAX_OFFERS = 4;
+
+const DEFAULT_OFFER = {
+  salary:               40000,
+  carAllowance:         0,
+  bonus:                0,
+  pensionValue:         5,
+  employerPensionValue: 3,
+  pensionScheme:        'sacrifice',
+  country:              'england',
+  studentLoan:          'none',
+};
+
+const state = {
+  taxYear: window.UKCalc.TAX_YEAR,
+  offers: [
+    { ...DEFAULT_OFFER, name: 'Offer 1' },
+    { ...DEFAULT_OFFER, name: 'Offer 2', salary: 45000, employerPensionValue: 5, carAllowance: 3000 },
+  ],
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  taxYearSelect:  $('taxYearSelect'),
+  addOfferBtn:    $('addOfferBtn'),
+  offerGrid:      $('offerGrid'),
+  offerTemplate:  $('offerTemplate'),
+  comparisonNote: $('comparisonNote'),
+  comparisonHead: $('comparisonHead'),
+  comparisonBody: $('comparisonBody'),
+};
+
+// Rows of the comparison table. `better` says which way is good, or null if neither.
+const COMPARISON_ROWS = [
+  { label: 'Gross Pay',           value: r => r.grossAnnual,           better: 'higher' },
+  { label: 'Employer Pension',    value: r => r.employerPensionAnnual, better: 'higher' },
+  { label: 'Income Tax',          value: r => r.incomeTax,             better: 'lower' },
+  { label: 'National Insurance',  value: r => r.ni,                    better: 'lower' },
+  { label: 'Student Loan',        value: r => r.studentLoanRepayment,  better: 'lower' },
+  { label: 'Your Pension',        value: r => r.pensionAnnual,         better: null },
+  { label: 'Take-Home Pay',       value: r => r.takeHome,              better: 'higher', strong: true },
+  { label: 'Take-Home per Month', value: r => r.takeHomeMonthly,       better: 'higher' },
+  { label: 'Total Reward',        value: r => r.totalReward,           better: 'higher', strong: true },
+];
+
+/* ─────────────────────────────────────────────
+   OFFER CARDS
+───────────────────────────────────────────── */
+
+/**
+ * Rebuild the offer cards from state. Only needed when offers are added or
+ * removed — typing updates state in place.
+ */
+function renderOfferCards() {
+  els.offerGrid.innerHTML = '';
+
+  state.offers.forEach((offer, index) => {
+    const card = els.offerTemplate.content.firstElementChild.cloneNode(true);
+    card.dataset.index = index;
+    card.querySelectorAll('[data-field]').forEach(field => {
+      field.value = offer[field.dataset.field];
+    });
+    card.querySelector('[data-action="remove"]').hidden = state.offers.length <= MIN_OFFERS;
+    els.offerGrid.appendChild(card);
+  });
+
+  els.addOfferBtn.disabled = state.offers.length >= MAX_OFFERS;
+}
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  const results = state.offers.map(offer => window.UKCalc.calculatePackage({
+    ...offer,
+    taxYear: state.taxYear,
+  }));
+  renderComparison(results);
+}
+
+function renderComparison(results) {
+  const fmt = window.UKCalc.formatCurrency;
+  const escape = text => String(text).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+
+  els.comparisonNote.textContent = `Tax year ${results[0].taxYear}`;
+
+  els.comparisonHead.innerHTML = `
+    <tr>
+      <th></th>
+      ${state.offers.map((offer, i) => `
+      <th class="num">
+        ${escape(offer.name || `Offer ${i + 1}`)}
+        <div class="breakdown-bar" aria-hidden="true">
+          <div class="breakdown-bar__segment breakdown-bar__segment--takehome"></div>
+          <div class="breakdown-bar__segment breakdown-bar__segment--tax"></div>
+          <div class="breakdown-bar__segment breakdown-bar__segment--ni"></div>
+          <div class="breakdown-bar__segment breakdown-bar__segment--pension"></div>
+          <div class="breakdown-bar__segment breakdown-bar__segment--loan"></div>
+        </div>
+      </th>`).join('')}
+    </tr>`;
+
+  els.comparisonHead.querySelectorAll('.breakdown-bar').forEach((bar, i) => {
+    updateBreakdownBar(results[i], bar);
+  });
+
+  els.comparisonBody.innerHTML = COMPARISON_ROWS.map(row => {
+    const values = results.map(row.value);
+    const best = row.better === 'higher' ? Math.max(...values) : Math.min(...values);
+    const allSame = values.every(value => Math.abs(value - values[0]) < 0.5);
+
+    const cells = values.map((value, i) => {
+      const isBest = row.better && !allSame && Math.abs(value - best) < 0.5;
+      const amount = row.strong ? `<strong>${fmt(value)}</strong>` : fmt(value);
+      return `<td class="num${isBest ? ' is-best' : ''}">${amount}${i > 0 ? compareDiff(value - values[0], row.better) : ''}</td>`;
+    }).join('');
+
+    return `<tr><td>${row.strong ? `<strong>${row.label}</strong>` : row.label}</td>${cells}</tr>`;
+  }).join('');
+}
+
+/**
+ * Difference against the first offer, coloured by whether it's good news.
+ * @param {number}      diff
+ * @param {string|null} better  'higher'|'lower'|null
+ * @returns {string} HTML
+ */
+function compareDiff(diff, better) {
+  const fmt = window.UKCalc.formatCurrency;
+  if (Math.abs(diff) < 0.5) return '<span class="compare-diff">same</span>';
+
+  const good = better === 'higher' ? diff > 0 : better === 'lower' ? diff < 0 : null;
+  const modifier = good === null ? '' : good ? ' compare-diff--up' : ' compare-diff--down';
+  return `<span class="compare-diff${modifier}">${diff > 0 ? '+' : '−'}${fmt(diff)}</span>`;
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.addOfferBtn.addEventListener('click', () => {
+  if (state.offers.length >= MAX_OFFERS) return;
+  const last = state.offers[state.offers.length - 1];
+  state.offers.push({ ...last, name: `Offer ${state.offers.length + 1}` });
+  renderOfferCards();
+  runCalculation();
+});
+
+// Every field in every card, by delegation
+function handleOfferField(e) {
+  const field = e.target.dataset.field;
+  const card = e.target.closest('.offer-card');
+  if (!field || !card) return;
+
+  const offer = state.offers[Number(card.dataset.index)];
+  offer[field] = e.target.type === 'number' ? parseFloat(e.target.value) || 0 : e.target.value;
+  runCalculation();
+}
+
+els.offerGrid.addEventListener('input', handleOfferField);
+els.offerGrid.addEventListener('change', handleOfferField);
+
+els.offerGrid.addEventListener('click', e => {
+  const remove = e.target.closest('[data-action="remove"]');
+  if (!remove || state.offers.length <= MIN_OFFERS) return;
+
+  state.offers.splice(Number(remove.closest('.offer-card').dataset.index), 1);
+  renderOfferCards();
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+renderOfferCards();
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
@@ -0,0 +1,182 @@
+/**
+ * PayCalcUK — Director Pay Controller
+ * Splits a limited company's profit between salary and dividends and
+ * suggests the split with the best take-home
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:             window.UKCalc.TAX_YEAR,
+  profit:              100000,
+  salary:              12570,
+  country:             'england',
+  employmentAllowance: false,
+  optimised:           null,
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  profitInput:             $('profitInput'),
+  salaryInput:             $('salaryInput'),
+  salaryHint:              $('salaryHint'),
+  countrySelect:           $('countrySelect'),
+  taxYearSelect:           $('taxYearSelect'),
+  employmentAllowance:     $('employmentAllowance'),
+  employmentAllowanceHint: $('employmentAllowanceHint'),
+
+  // Results
+  takeHomeAmount:          $('takeHomeAmount'),
+  takeHomePeriod:          $('takeHomePeriod'),
+  profitDisplay:           $('profitDisplay'),
+  employerNIDisplay:       $('employerNIDisplay'),
+  corporationTaxDisplay:   $('corporationTaxDisplay'),
+  salaryDisplay:           $('salaryDisplay'),
+  dividendsDisplay:        $('dividendsDisplay'),
+  salaryTaxDisplay:        $('salaryTaxDisplay'),
+  employeeNIDisplay:       $('employeeNIDisplay'),
+  dividendTaxDisplay:      $('dividendTaxDisplay'),
+  takeHomeDisplay:         $('takeHomeDisplay'),
+  bestNote:                $('bestNote'),
+  useBestBtn:              $('useBestBtn'),
+  totalTaxDisplay:         $('totalTaxDisplay'),
+  effectiveRate:           $('effectiveRate'),
+  bestSalaryDisplay:       $('bestSalaryDisplay'),
+
+  // Splits
+  splitsNote:              $('splitsNote'),
+  splitsBody:              $('splitsBody'),
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function companyParams() {
+  return {
+    profit:              state.profit,
+    country:             state.country,
+    taxYear:             state.taxYear,
+    employmentAllowance: state.employmentAllowance,
+  };
+}
+
+function runCalculation() {
+  const calc = window.UKCalc;
+  const r = calc.calculateDirectorPay({ ...companyParams(), salary: state.salary });
+  state.optimised = calc.optimiseDirectorPay(companyParams());
+
+  renderResults(r);
+  renderBest(r, state.optimised.best);
+  renderSplits(state.optimised);
+}
+
+function renderResults(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const fmtPct = window.UKCalc.formatPercent;
+  const rules = window.UKCalc.getTaxYearRules(state.taxYear);
+
+  els.takeHomeAmount.textContent = fmt(r.takeHome);
+  els.takeHomePeriod.textContent = `per year · ${fmt(r.takeHome / 12)} per month`;
+
+  els.profitDisplay.textContent         = fmt(r.profit);
+  els.employerNIDisplay.textContent     = `−${fmt(r.employerNI)}`;
+  els.corporationTaxDisplay.textContent = `−${fmt(r.corporationTax)}`;
+  els.salaryDisplay.textContent         = fmt(r.salary);
+  els.dividendsDisplay.textContent      = fmt(r.dividends);
+  els.salaryTaxDisplay.textContent      = `−${fmt(r.salaryTax)}`;
+  els.employeeNIDisplay.textContent     = `−${fmt(r.employeeNI)}`;
+  els.dividendTaxDisplay.textContent    = `−${fmt(r.dividendTax)}`;
+  els.takeHomeDisplay.textContent       = fmt(r.takeHome);
+
+  els.totalTaxDisplay.textContent = fmt(r.totalTax);
+  els.effectiveRate.textContent   = fmtPct(r.effectiveTaxRate);
+
+  els.salaryHint.textContent = r.salary < state.salary
+    ? `Capped at ${fmt(r.salary)} so the company doesn't make a loss`
+    : 'The rest is paid out as dividends';
+  els.employmentAllowanceHint.textContent = `Up to ${fmt(rules.employerNI.employmentAllowance)} — not if the director is the only employee`;
+}
+
+/**
+ * Suggest the best split, or confirm the current one is it.
+ */
+function renderBest(r, best) {
+  const fmt = window.UKCalc.formatCurrency;
+  const gain = best.takeHome - r.takeHome;
+
+  els.bestSalaryDisplay.textContent = fmt(best.salary);
+  els.useBestBtn.hidden = gain < 1;
+  els.bestNote.textContent = gain < 1
+    ? `This is the best split: ${fmt(r.salary)} salary and ${fmt(r.dividends)} in dividends.`
+    : `Best split: ${fmt(best.salary)} salary and ${fmt(best.dividends)} in dividends, taking home ${fmt(gain)} more a year.`;
+}
+
+function renderSplits({ best, splits }) {
+  const fmt = window.UKCalc.formatCurrency;
+  const rows = [...splits, { key: 'best', label: 'Best split', result: best }];
+
+  els.splitsNote.textContent = `Tax year ${best.taxYear} · ${fmt(best.profit)} profit`;
+  els.splitsBody.innerHTML = rows.map(({ key, label, result }) => `
+    <tr>
+      <td>${key === 'best' ? `<strong>${label}</strong>` : label}</td>
+      <td class="num">${fmt(result.salary)}</td>
+      <td class="num">${fmt(result.dividends)}</td>
+      <td class="num">${fmt(result.employerNI + result.corporationTax)}</td>
+      <td class="num">${fmt(result.salaryTax + result.employeeNI + result.dividendTax)}</td>
+      <td class="num">${key === 'best' ? `<strong>${fmt(result.takeHome)}</strong>` : fmt(result.takeHome)}</td>
+    </tr>`).join('');
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.profitInput.addEventListener('input', () => {
+  state.profit = parseFloat(els.profitInput.value) || 0;
+  runCalculation();
+});
+
+els.salaryInput.addEventListener('input', () => {
+  state.salary = parseFloat(els.salaryInput.value) || 0;
+  runCalculation();
+});
+
+els.useBestBtn.addEventListener('click', () => {
+  if (!state.optimised) return;
+  state.salary = state.optimised.best.salary;
+  els.salaryInput.value = state.salary;
+  runCalculation();
+});
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.employmentAllowance.addEventListener('change', () => {
+  state.employmentAllowance = els.employmentAllowance.checked;
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
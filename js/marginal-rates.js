@@ -0,0 +1,321 @@
+/**
+ * PayCalcUK — Marginal Rate Chart Controller
+ * Charts effective and marginal rates by salary and shows what the next £1,000 is worth
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:       window.UKCalc.TAX_YEAR,
+  salary:        110000,
+  country:       'england',
+  studentLoan:   'none',
+  pensionValue:  0,
+  pensionScheme: 'sacrifice',
+  maxSalary:     200000,
+  curve:         [],
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  salaryInput:         $('salaryInput'),
+  countrySelect:       $('countrySelect'),
+  taxYearSelect:       $('taxYearSelect'),
+  studentLoanSelect:   $('studentLoanSelect'),
+  pensionInput:        $('pensionInput'),
+  pensionSchemeSelect: $('pensionSchemeSelect'),
+  rangeSelect:         $('rangeSelect'),
+
+  // Results
+  riseLabel:           $('riseLabel'),
+  riseTakeHome:        $('riseTakeHome'),
+  riseRate:            $('riseRate'),
+  riseGross:           $('riseGross'),
+  riseTax:             $('riseTax'),
+  riseNI:              $('riseNI'),
+  risePension:         $('risePension'),
+  riseLoan:            $('riseLoan'),
+  riseTakeHomeDisplay: $('riseTakeHomeDisplay'),
+  risePensionRow:      $('risePensionRow'),
+  riseLoanRow:         $('riseLoanRow'),
+  zoneNote:            $('zoneNote'),
+  effectiveRate:       $('effectiveRate'),
+  marginalRate:        $('marginalRate'),
+  takeHome:            $('takeHome'),
+
+  // Chart
+  chart:               $('rateChart'),
+  chartNote:           $('chartNote'),
+};
+
+const PAY_RISE = 1000;
+const CURVE_STEP = 500;
+
+const COUNTRY_NAMES = {
+  england:  'England',
+  scotland: 'Scotland',
+  wales:    'Wales',
+  ni:       'N. Ireland',
+};
+
+const LOAN_PLAN_LABELS = {
+  plan1:    'Plan 1',
+  plan2:    'Plan 2',
+  plan4:    'Plan 4',
+  plan5:    'Plan 5',
+  postgrad: 'PG',
+};
+
+// Chart geometry, in viewBox units
+const CHART = {
+  width:  960,
+  height: 380,
+  top:    36,
+  right:  16,
+  bottom: 36,
+  left:   44,
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function baseParams() {
+  return {
+    taxYear:       state.taxYear,
+    salaryAmount:  state.salary,
+    salaryPeriod:  'annual',
+    country:       state.country,
+    pensionValue:  state.pensionValue,
+    pensionUnit:   'percent',
+    pensionScheme: state.pensionScheme,
+    studentLoan:   state.studentLoan,
+  };
+}
+
+function runCalculation() {
+  state.curve = window.UKCalc.calculateRateCurve(baseParams(), state.maxSalary, CURVE_STEP);
+  renderChart();
+  renderReadout();
+}
+
+function renderReadout() {
+  const fmt = window.UKCalc.formatCurrency;
+  const fmtPct = window.UKCalc.formatPercent;
+  const params = baseParams();
+  const results = window.UKCalc.calculate(params);
+  const rise = window.UKCalc.calculatePayRise(params, PAY_RISE);
+
+  els.riseLabel.textContent           = `Next ${fmt(PAY_RISE)} of Pay Nets You`;
+  els.riseTakeHome.textContent        = fmt(rise.takeHome);
+  els.riseRate.textContent            = `a ${Math.round(rise.marginalRate)}% marginal rate`;
+  els.riseGross.textContent           = fmt(rise.rise);
+  els.riseTax.textContent             = `−${fmt(rise.incomeTax)}`;
+  els.riseNI.textContent              = `−${fmt(rise.ni)}`;
+  els.risePension.textContent         = `−${fmt(rise.pension)}`;
+  els.riseLoan.textContent            = `−${fmt(rise.studentLoan)}`;
+  els.riseTakeHomeDisplay.textContent = fmt(rise.takeHome);
+
+  els.risePensionRow.style.display = rise.pension > 0 ? 'flex' : 'none';
+  els.riseLoanRow.style.display    = rise.studentLoan > 0 ? 'flex' : 'none';
+
+  const grossAnnual = results.grossAnnual;
+  const deductions = results.incomeTax + results.ni + results.studentLoanRepayment;
+  els.effectiveRate.textContent = fmtPct(grossAnnual > 0 ? (deductions / grossAnnual) * 100 : 0);
+  els.marginalRate.textContent  = `${Math.round(rise.marginalRate)}%`;
+  els.takeHome.textContent      = fmt(results.takeHome);
+
+  els.zoneNote.textContent = describeZone(results, rise);
+  moveCursor(grossAnnual);
+}
+
+/**
+ * Explain what's driving the marginal rate at the current salary.
+ * @param {object} results  UKCalc.calculate() result
+ * @param {object} rise     UKCalc.calculatePayRise() result
+ * @returns {string}
+ */
+function describeZone(results, rise) {
+  const rules = window.UKCalc.getTaxYearRules(state.taxYear);
+  const taperEnd = rules.paTaperThreshold + rules.personalAllowance * 2;
+  const notes = [];
+
+  if (results.adjustedIncome > rules.paTaperThreshold && results.adjustedIncome < taperEnd) {
+    notes.push('You\'re in the Personal Allowance taper: each extra £1 also loses 50p of tax-free allowance, so income tax alone takes 60% or more. Pension contributions here get the same high rate of relief.');
+  }
+  if (rise.studentLoan > 0) {
+    notes.push(`Student loan repayments take ${Math.round((rise.studentLoan / rise.rise) * 100)}p of every extra pound.`);
+  }
+  if (results.grossAnnual > rules.ni.upperEarningsLimit) {
+    notes.push(`National Insurance drops to ${rules.ni.rateUpper * 100}% above ${window.UKCalc.formatCurrency(rules.ni.upperEarningsLimit)}.`);
+  }
+  return notes.join(' ');
+}
+
+/* ─────────────────────────────────────────────
+   CHART
+───────────────────────────────────────────── */
+
+function chartScales() {
+  const maxRate = Math.max(60, ...state.curve.map(point => point.marginalRate));
+  const rateTop = Math.ceil(maxRate / 10) * 10;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+
+  return {
+    rateTop,
+    x: salary => CHART.left + (Math.min(salary, state.maxSalary) / state.maxSalary) * plotWidth,
+    y: rate => CHART.top + plotHeight - (Math.max(0, rate) / rateTop) * plotHeight,
+    salaryAt: x => ((x - CHART.left) / plotWidth) * state.maxSalary,
+  };
+}
+
+function renderChart() {
+  const { x, y, rateTop } = chartScales();
+  const fmt = window.UKCalc.formatCurrency;
+  const rules = window.UKCalc.getTaxYearRules(state.taxYear);
+  const thresholds = window.UKCalc.getRateThresholds(state.country, state.taxYear);
+  const bottom = CHART.height - CHART.bottom;
+  const parts = [];
+
+  els.chartNote.textContent = `${COUNTRY_NAMES[state.country]} · ${rules.label}`;
+
+  // Gridlines and rate axis
+  for (let rate = 0; rate <= rateTop; rate += 10) {
+    parts.push(`<line class="rate-chart__grid" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(rate)}" y2="${y(rate)}"/>`);
+    parts.push(`<text class="rate-chart__axis" x="${CHART.left - 8}" y="${y(rate) + 4}" text-anchor="end">${rate}%</text>`);
+  }
+
+  // Salary axis
+  const tickStep = state.maxSalary > 150000 ? 25000 : state.maxSalary > 100000 ? 20000 : 10000;
+  for (let salary = 0; salary <= state.maxSalary; salary += tickStep) {
+    parts.push(`<text class="rate-chart__axis" x="${x(salary)}" y="${bottom + 20}" text-anchor="middle">£${salary / 1000}k</text>`);
+  }
+
+  // Taper zone
+  const taperStart = thresholds.find(t => t.label === 'Allowance taper starts');
+  const taperEnd = thresholds.find(t => t.label === 'Allowance fully lost');
+  if (taperStart.salary < state.maxSalary) {
+    parts.push(`<rect class="rate-chart__taper" x="${x(taperStart.salary)}" y="${CHART.top}" width="${x(taperEnd.salary) - x(taperStart.salary)}" height="${bottom - CHART.top}"><title>Personal Allowance taper: ${fmt(taperStart.salary)} – ${fmt(taperEnd.salary)}</title></rect>`);
+  }
+
+  // Tax bands, labelled along the top
+  thresholds.filter(t => t.kind === 'band' && t.salary <= state.maxSalary).forEach((t, i) => {
+    parts.push(`<line class="rate-chart__band" x1="${x(t.salary)}" x2="${x(t.salary)}" y1="${CHART.top}" y2="${bottom}"><title>${t.label} from ${fmt(t.salary)}</title></line>`);
+    parts.push(`<text class="rate-chart__band-label" x="${x(t.salary) + 4}" y="${CHART.top - (i % 2 ? 6 : 20)}">${t.label.replace(' rate', '')}</text>`);
+  });
+
+  // Student loan thresholds, labelled along the bottom
+  const loanPlans = window.UKCalc.getStudentLoanPlans(state.studentLoan);
+  thresholds.filter(t => t.kind === 'loan' && t.salary <= state.maxSalary).forEach((t, i) => {
+    const active = loanPlans.includes(t.plan) ? ' rate-chart__loan--active' : '';
+    parts.push(`<line class="rate-chart__loan${active}" x1="${x(t.salary)}" x2="${x(t.salary)}" y1="${CHART.top}" y2="${bottom}"><title>${LOAN_PLAN_LABELS[t.plan]} student loan from ${fmt(t.salary)}</title></line>`);
+    parts.push(`<text class="rate-chart__loan-label" x="${x(t.salary) + 3}" y="${bottom - 6 - (i % 2) * 12}">${LOAN_PLAN_LABELS[t.plan]}</text>`);
+  });
+
+  // Marginal rate as steps, effective rate as a line
+  const marginal = state.curve.map((point, i) => {
+    const next = state.curve[i + 1] ? state.curve[i + 1].salary : point.salary + CURVE_STEP;
+    return `${x(point.salary)},${y(point.marginalRate)} ${x(next)},${y(point.marginalRate)}`;
+  }).join(' ');
+  const effective = state.curve.map(point => `${x(point.salary)},${y(point.effectiveRate)}`).join(' ');
+  parts.push(`<polyline class="rate-chart__marginal" points="${marginal}"/>`);
+  parts.push(`<polyline class="rate-chart__effective" points="${effective}"/>`);
+
+  // Cursor for the current salary
+  parts.push(`<line class="rate-chart__cursor" id="chartCursor" y1="${CHART.top}" y2="${bottom}"/>`);
+  parts.push('<circle class="rate-chart__dot" id="chartDot" r="4.5"/>');
+
+  els.chart.innerHTML = parts.join('');
+}
+
+/**
+ * Move the chart cursor to a salary.
+ * @param {number} salary
+ */
+function moveCursor(salary) {
+  const cursor = $('chartCursor');
+  const dot = $('chartDot');
+  if (!cursor) return;
+
+  const { x, y } = chartScales();
+  const point = state.curve[Math.min(state.curve.length - 1, Math.floor(salary / CURVE_STEP))];
+  const hidden = salary > state.maxSalary;
+
+  cursor.setAttribute('x1', x(salary));
+  cursor.setAttribute('x2', x(salary));
+  dot.setAttribute('cx', x(salary));
+  dot.setAttribute('cy', y(point ? point.marginalRate : 0));
+  cursor.style.display = hidden ? 'none' : '';
+  dot.style.display = hidden ? 'none' : '';
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.salaryInput.addEventListener('input', () => {
+  state.salary = parseFloat(els.salaryInput.value) || 0;
+  renderReadout();
+});
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.studentLoanSelect.addEventListener('change', () => {
+  state.studentLoan = els.studentLoanSelect.value;
+  runCalculation();
+});
+
+els.pensionInput.addEventListener('input', () => {
+  state.pensionValue = parseFloat(els.pensionInput.value) || 0;
+  runCalculation();
+});
+
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+els.rangeSelect.addEventListener('change', () => {
+  state.maxSalary = Number(els.rangeSelect.value);
+  runCalculation();
+});
+
+// Pick a salary from the chart
+els.chart.addEventListener('pointermove', e => {
+  const rect = els.chart.getBoundingClientRect();
+  if (!rect.width) return;
+
+  const viewX = ((e.clientX - rect.left) / rect.width) * CHART.width;
+  const salary = chartScales().salaryAt(viewX);
+  if (salary < 0 || salary > state.maxSalary) return;
+
+  state.salary = Math.round(salary / CURVE_STEP) * CURVE_STEP;
+  els.salaryInput.value = state.salary;
+  renderReadout();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
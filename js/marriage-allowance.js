@@ -0,0 +1,141 @@
+/**
+ * PayCalcUK — Marriage Allowance (Couples) Controller
+ * Runs both partners through the UK engine and shows both sides of the transfer
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:  window.UKCalc.TAX_YEAR,
+  salaryA:  8000,
+  salaryB:  35000,
+  countryA: 'england',
+  countryB: 'england',
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  salaryA:             $('salaryA'),
+  salaryB:             $('salaryB'),
+  countryA:            $('countryA'),
+  countryB:            $('countryB'),
+  taxYearSelect:       $('taxYearSelect'),
+
+  // Results
+  householdGain:       $('householdGain'),
+  eligibilityStatus:   $('eligibilityStatus'),
+  eligibilityReasons:  $('eligibilityReasons'),
+  transferorLabel:     $('transferorLabel'),
+  transferorAllowance: $('transferorAllowance'),
+  transferorExtraTax:  $('transferorExtraTax'),
+  recipientLabel:      $('recipientLabel'),
+  recipientSaving:     $('recipientSaving'),
+  householdTax:        $('householdTax'),
+  taxA:                $('taxA'),
+  taxB:                $('taxB'),
+  transferAmount:      $('transferAmount'),
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function partnerParams(salary, country) {
+  return {
+    taxYear:      state.taxYear,
+    salaryAmount: salary,
+    salaryPeriod: 'annual',
+    country,
+    pensionValue: 0,
+    pensionUnit:  'percent',
+    studentLoan:  'none',
+    blindPerson:  false,
+  };
+}
+
+function runCalculation() {
+  const couple = window.UKCalc.calculateCouple(
+    partnerParams(state.salaryA, state.countryA),
+    partnerParams(state.salaryB, state.countryB)
+  );
+  renderResults(couple);
+}
+
+function renderResults(c) {
+  const fmt = window.UKCalc.formatCurrency;
+  const partnerName = key => (key === 'a' ? 'Partner 1' : 'Partner 2');
+
+  const transferorBefore = c.without[c.transferor];
+  const transferorAfter  = c.with[c.transferor];
+  const recipientBefore  = c.without[c.recipient];
+  const recipientAfter   = c.with[c.recipient];
+
+  // Only apply the transfer to the totals when the couple can claim it
+  const gain = c.eligible ? c.householdGain : 0;
+  const sign = gain < 0 ? '−' : '';
+  els.householdGain.textContent = `${sign}${fmt(gain)}`;
+  els.eligibilityStatus.textContent = c.eligible
+    ? `per year — ${partnerName(c.transferor)} transfers to ${partnerName(c.recipient)}`
+    : 'not eligible to claim';
+  els.eligibilityReasons.textContent = c.eligible
+    ? (c.householdGain < 0 ? 'Claiming would cost your household more tax than it saves.' : '')
+    : c.reasons.join(' ');
+
+  els.transferorLabel.textContent = `${partnerName(c.transferor)}'s Allowance`;
+  els.transferorAllowance.textContent = fmt(transferorAfter.personalAllowance);
+  els.transferorExtraTax.textContent = `−${fmt(transferorAfter.incomeTax - transferorBefore.incomeTax)}`;
+  els.recipientLabel.textContent = `Tax Saved by ${partnerName(c.recipient)}`;
+  els.recipientSaving.textContent = fmt(recipientBefore.incomeTax - recipientAfter.incomeTax);
+  els.householdTax.textContent = fmt(c.eligible ? c.taxAfter : c.taxBefore);
+
+  const shown = c.eligible ? c.with : c.without;
+  els.taxA.textContent = fmt(shown.a.incomeTax);
+  els.taxB.textContent = fmt(shown.b.incomeTax);
+  els.transferAmount.textContent = fmt(c.transferAmount);
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.salaryA.addEventListener('input', () => {
+  state.salaryA = parseFloat(els.salaryA.value) || 0;
+  runCalculation();
+});
+
+els.salaryB.addEventListener('input', () => {
+  state.salaryB = parseFloat(els.salaryB.value) || 0;
+  runCalculation();
+});
+
+els.countryA.addEventListener('change', () => {
+  state.countryA = els.countryA.value;
+  runCalculation();
+});
+
+els.countryB.addEventListener('change', () => {
+  state.countryB = els.countryB.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
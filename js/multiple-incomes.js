@@ -0,0 +1,252 @@
+/**
+ * PayCalcUK — Multiple Incomes Controller
+ * Adds up jobs, pensions and untaxed income against one Personal Allowance
+ * and compares the real bill with what each payroll withholds
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const MIN_SOURCES = 1;
+const MAX_SOURCES = 6;
+
+const state = {
+  taxYear: window.UKCalc.TAX_YEAR,
+  country: 'england',
+  sources: [
+    { name: 'Main job',   type: 'job', amount: 40000, taxCode: '' },
+    { name: 'Second job', type: 'job', amount: 15000, taxCode: 'BR' },
+  ],
+  rentalProfit:    0,
+  savingsInterest: 0,
+  dividends:       0,
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  countrySelect:  $('countrySelect'),
+  taxYearSelect:  $('taxYearSelect'),
+  addSourceBtn:   $('addSourceBtn'),
+  sourceGrid:     $('sourceGrid'),
+  sourceTemplate: $('sourceTemplate'),
+  otherIncome:    $('otherIncome'),
+
+  // Results
+  summaryIncome:          $('summaryIncome'),
+  summaryTax:             $('summaryTax'),
+  summaryWithheld:        $('summaryWithheld'),
+  summaryDifferenceLabel: $('summaryDifferenceLabel'),
+  summaryDifference:      $('summaryDifference'),
+  summaryTakeHome:        $('summaryTakeHome'),
+
+  // Tables
+  sourcesNote:      $('sourcesNote'),
+  sourcesBody:      $('sourcesBody'),
+  sourcesFoot:      $('sourcesFoot'),
+  sourcesExplainer: $('sourcesExplainer'),
+  allowanceNote:    $('allowanceNote'),
+  bandsBody:        $('bandsBody'),
+};
+
+/* ─────────────────────────────────────────────
+   SOURCE CARDS
+───────────────────────────────────────────── */
+
+/**
+ * Rebuild the source cards from state. Only needed when sources are added or
+ * removed — typing updates state in place.
+ */
+function renderSourceCards() {
+  els.sourceGrid.innerHTML = '';
+
+  state.sources.forEach((source, index) => {
+    const card = els.sourceTemplate.content.firstElementChild.cloneNode(true);
+    card.dataset.index = index;
+    card.querySelectorAll('[data-field]').forEach(field => {
+      field.value = source[field.dataset.field];
+    });
+    card.querySelector('[data-action="remove"]').hidden = state.sources.length <= MIN_SOURCES;
+    els.sourceGrid.appendChild(card);
+  });
+
+  els.addSourceBtn.disabled = state.sources.length >= MAX_SOURCES;
+}
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  const r = window.UKCalc.calculateMultipleIncomes({
+    sources:         state.sources,
+    rentalProfit:    state.rentalProfit,
+    savingsInterest: state.savingsInterest,
+    dividends:       state.dividends,
+    country:         state.country,
+    taxYear:         state.taxYear,
+  });
+
+  renderSummary(r);
+  renderSources(r);
+  renderBands(r);
+}
+
+function renderSummary(r) {
+  const fmt = window.UKCalc.formatCurrency;
+
+  els.summaryIncome.textContent   = fmt(r.totalIncome);
+  els.summaryTax.textContent      = fmt(r.incomeTax);
+  els.summaryWithheld.textContent = fmt(r.taxWithheld);
+  els.summaryTakeHome.textContent = fmt(r.takeHome);
+
+  els.summaryDifferenceLabel.textContent = r.taxDifference < 0 ? 'Refund Due' : 'Left to Pay';
+  els.summaryDifference.textContent      = fmt(Math.abs(r.taxDifference));
+}
+
+function renderSources(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const escape = text => String(text).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+
+  els.sourcesNote.textContent = `Tax year ${r.taxYear}`;
+  els.sourcesBody.innerHTML = r.sources.map((source, i) => {
+    const code = source.codeError
+      ? `<span class="code-error">${escape(source.codeError)}</span>`
+      : source.taxCode || 'Standard';
+    return `
+    <tr>
+      <td>${escape(source.name || `Income ${i + 1}`)}${source.type === 'pension' ? ' (pension)' : ''}</td>
+      <td>${code}</td>
+      <td>${source.suggestedCode}</td>
+      <td class="num">${fmt(source.amount)}</td>
+      <td class="num">${fmt(source.taxWithheld)}</td>
+      <td class="num">${fmt(source.ni)}</td>
+    </tr>`;
+  }).join('');
+
+  const untaxed = r.rentalProfit + r.savingsInterest + r.dividends;
+  els.sourcesFoot.innerHTML = `
+    ${untaxed > 0 ? `
+    <tr>
+      <td>Rental, savings and dividends</td>
+      <td>—</td>
+      <td>—</td>
+      <td class="num">${fmt(untaxed)}</td>
+      <td class="num">${fmt(0)}</td>
+      <td class="num">${fmt(0)}</td>
+    </tr>` : ''}
+    <tr>
+      <td><strong>Total</strong></td>
+      <td></td>
+      <td></td>
+      <td class="num"><strong>${fmt(r.totalIncome)}</strong></td>
+      <td class="num"><strong>${fmt(r.taxWithheld)}</strong></td>
+      <td class="num"><strong>${fmt(r.ni)}</strong></td>
+    </tr>`;
+
+  const gap = Math.abs(r.taxDifference);
+  if (gap < 1) {
+    els.sourcesExplainer.textContent = 'Your tax codes take the right amount between them.';
+  } else if (r.taxDifference > 0) {
+    els.sourcesExplainer.textContent = `PAYE takes ${fmt(gap)} less than your real bill of ${fmt(r.incomeTax)}. HMRC will collect it through your tax code or Self Assessment. The suggested codes share your allowance between your jobs and pensions, and bring payroll closer to the right amount.`;
+  } else {
+    els.sourcesExplainer.textContent = `PAYE takes ${fmt(gap)} more than your real bill of ${fmt(r.incomeTax)}, so you should get a refund after the tax year ends. The suggested codes share your allowance between your jobs and pensions, and stop most of the overpayment.`;
+  }
+}
+
+function renderBands(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const fmtRate = rate => `${Math.round(rate * 10000) / 100}%`;
+  const { tax } = r;
+  const allowanceUsed = r.totalIncome - tax.taxableIncome;
+
+  const rows = [
+    ...(allowanceUsed > 0 ? [{ bandName: 'Personal Allowance', amountInBand: allowanceUsed, rate: 0, taxInBand: 0 }] : []),
+    ...tax.nonSavingsBreakdown,
+    ...tax.savingsBreakdown,
+    ...tax.dividendBreakdown,
+  ].filter(band => band.amountInBand > 0);
+
+  els.allowanceNote.textContent = `Personal Allowance ${fmt(r.personalAllowance)}`;
+  els.bandsBody.innerHTML = rows.map(band => `
+    <tr>
+      <td>${band.bandName}</td>
+      <td class="num">${fmt(band.amountInBand)}</td>
+      <td class="num">${fmtRate(band.rate)}</td>
+      <td class="num">${fmt(band.taxInBand)}</td>
+    </tr>`).join('') + `
+    <tr>
+      <td><strong>Income tax</strong></td>
+      <td class="num"><strong>${fmt(r.totalIncome)}</strong></td>
+      <td class="num"></td>
+      <td class="num"><strong>${fmt(r.incomeTax)}</strong></td>
+    </tr>`;
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.addSourceBtn.addEventListener('click', () => {
+  if (state.sources.length >= MAX_SOURCES) return;
+  state.sources.push({ name: `Income ${state.sources.length + 1}`, type: 'job', amount: 10000, taxCode: 'BR' });
+  renderSourceCards();
+  runCalculation();
+});
+
+// Every field in every card, by delegation
+function handleSourceField(e) {
+  const field = e.target.dataset.field;
+  const card = e.target.closest('.offer-card');
+  if (!field || !card) return;
+
+  const source = state.sources[Number(card.dataset.index)];
+  source[field] = e.target.type === 'number' ? parseFloat(e.target.value) || 0 : e.target.value;
+  runCalculation();
+}
+
+els.sourceGrid.addEventListener('input', handleSourceField);
+els.sourceGrid.addEventListener('change', handleSourceField);
+
+els.sourceGrid.addEventListener('click', e => {
+  const remove = e.target.closest('[data-action="remove"]');
+  if (!remove || state.sources.length <= MIN_SOURCES) return;
+
+  state.sources.splice(Number(remove.closest('.offer-card').dataset.index), 1);
+  renderSourceCards();
+  runCalculation();
+});
+
+els.otherIncome.addEventListener('input', e => {
+  const key = e.target.dataset.other;
+  if (!key) return;
+  state[key] = Math.max(0, parseFloat(e.target.value) || 0);
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+renderSourceCards();
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
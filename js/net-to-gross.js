@@ -0,0 +1,285 @@
+/**
+ * PayCalcUK — Net to Gross Controller
+ * Solves for the gross salary behind a target take-home, for the UK engine
+ * and the international estimators in data/countries.js
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:           window.UKCalc.TAX_YEAR,
+  targetNet:         2500,
+  targetPeriod:      'monthly',
+  country:           'england',
+  pensionValue:      0,
+  pensionUnit:       'percent',
+  pensionScheme:     'sacrifice',
+  studentLoan:       'none',
+  blindPerson:       false,
+  marriageAllowance: false,
+};
+
+const UK_COUNTRIES = ['england', 'scotland', 'wales', 'ni'];
+
+const PERIOD_LABELS = {
+  annual:  'per year',
+  monthly: 'per month',
+  weekly:  'per week',
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  targetInput:          $('targetInput'),
+  currencySymbol:       $('currencySymbol'),
+  countrySelect:        $('countrySelect'),
+  countryHint:          $('countryHint'),
+  internationalOptions: $('internationalOptions'),
+  ukOptions:            $('ukOptions'),
+  taxYearSelect:        $('taxYearSelect'),
+  pensionInput:         $('pensionInput'),
+  pensionSchemeSelect:  $('pensionSchemeSelect'),
+  studentLoanSelect:    $('studentLoanSelect'),
+  blindAllowance:       $('blindAllowance'),
+  marriageAllowance:    $('marriageAllowance'),
+
+  // Results
+  grossNeeded:          $('grossNeeded'),
+  grossNeededPeriod:    $('grossNeededPeriod'),
+  grossDisplay:         $('grossDisplay'),
+  taxDisplay:           $('taxDisplay'),
+  niLabel:              $('niLabel'),
+  niDisplay:            $('niDisplay'),
+  pensionDisplay:       $('pensionDisplay'),
+  loanDisplay:          $('loanDisplay'),
+  takeHomeDisplay:      $('takeHomeDisplay'),
+  pensionRow:           $('pensionRow'),
+  loanRow:              $('loanRow'),
+  solverNote:           $('solverNote'),
+  effectiveRate:        $('effectiveRate'),
+  marginalRate:         $('marginalRate'),
+  deductionsDisplay:    $('deductionsDisplay'),
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function isUK() {
+  return UK_COUNTRIES.includes(state.country);
+}
+
+function runCalculation() {
+  if (isUK()) {
+    const params = {
+      taxYear:           state.taxYear,
+      salaryPeriod:      'annual',
+      country:           state.country,
+      pensionValue:      state.pensionValue,
+      pensionUnit:       state.pensionUnit,
+      pensionScheme:     state.pensionScheme,
+      studentLoan:       state.studentLoan,
+      blindPerson:       state.blindPerson,
+      marriageAllowance: state.marriageAllowance,
+    };
+    const solved = window.UKCalc.calculateGrossForNet(params, state.targetNet, state.targetPeriod);
+    renderUK(solved, params);
+  } else {
+    const netAt = gross => estimateNetSalary(gross, state.country).netAnnual;
+    const targetAnnual = window.UKCalc.toAnnual(state.targetNet, state.targetPeriod);
+    const solved = window.UKCalc.solveGrossForNet(netAt, targetAnnual);
+    renderInternational(solved);
+  }
+}
+
+/**
+ * Fill the hero for a solved gross salary.
+ * @param {number}   grossAnnual
+ * @param {function} fmt  Currency formatter
+ */
+function renderGross(grossAnnual, fmt) {
+  const perPeriod = grossAnnual / window.UKCalc.toAnnual(1, state.targetPeriod);
+  els.grossNeeded.textContent = fmt(grossAnnual);
+  els.grossNeededPeriod.textContent = state.targetPeriod === 'annual'
+    ? PERIOD_LABELS.annual
+    : `${PERIOD_LABELS.annual} · ${fmt(perPeriod)} ${PERIOD_LABELS[state.targetPeriod]}`;
+}
+
+function renderOutOfRange() {
+  els.grossNeeded.textContent = '—';
+  els.grossNeededPeriod.textContent = 'out of range';
+  els.solverNote.textContent = 'That take-home is beyond the salaries this calculator can search.';
+}
+
+/**
+ * Note shown under the breakdown: whether the target is hit exactly, and
+ * what extra take-home costs in gross pay at this salary.
+ */
+function solverNote(solved, grossPerNet, fmt) {
+  const notes = [];
+  if (!solved.exact) {
+    notes.push(`No salary gives exactly your target: take-home jumps past it to ${fmt(solved.net)} a year at this salary.`);
+  }
+  if (grossPerNet > 0) {
+    notes.push(`Here, each extra ${fmt(100)} of take-home needs about ${fmt(100 * grossPerNet)} of gross pay.`);
+  }
+  return notes.join(' ');
+}
+
+function renderUK(solved, params) {
+  const fmt = window.UKCalc.formatCurrency;
+  const fmtPct = window.UKCalc.formatPercent;
+  if (!solved) {
+    renderOutOfRange();
+    return;
+  }
+
+  const r = solved.result;
+  renderGross(solved.grossAnnual, fmt);
+
+  els.niLabel.textContent         = 'National Insurance';
+  els.grossDisplay.textContent    = fmt(r.grossAnnual);
+  els.taxDisplay.textContent      = `−${fmt(r.incomeTax)}`;
+  els.niDisplay.textContent       = `−${fmt(r.ni)}`;
+  els.pensionDisplay.textContent  = `−${fmt(r.pensionAnnual)}`;
+  els.loanDisplay.textContent     = `−${fmt(r.studentLoanRepayment)}`;
+  els.takeHomeDisplay.textContent = fmt(r.takeHome);
+
+  els.pensionRow.style.display = r.pensionAnnual > 0 ? 'flex' : 'none';
+  els.loanRow.style.display    = r.studentLoanRepayment > 0 ? 'flex' : 'none';
+
+  const rise = window.UKCalc.calculatePayRise({ ...params, salaryAmount: solved.grossAnnual });
+  els.effectiveRate.textContent     = fmtPct(r.effectiveTaxRate);
+  els.marginalRate.textContent      = `${Math.round(rise.marginalRate)}%`;
+  els.deductionsDisplay.textContent = fmt(r.grossAnnual - r.takeHome);
+  els.solverNote.textContent = solverNote(solved, rise.takeHome > 0 ? rise.rise / rise.takeHome : 0, fmt);
+}
+
+function renderInternational(solved) {
+  const fmt = amount => formatCountryCurrency(amount, state.country);
+  const fmtPct = window.UKCalc.formatPercent;
+  if (!solved) {
+    renderOutOfRange();
+    return;
+  }
+
+  const estimate = estimateNetSalary(solved.gross, state.country);
+  renderGross(solved.gross, fmt);
+
+  els.niLabel.textContent         = 'Social Contributions';
+  els.grossDisplay.textContent    = fmt(estimate.grossAnnual);
+  els.taxDisplay.textContent      = `−${fmt(estimate.incomeTax)}`;
+  els.niDisplay.textContent       = `−${fmt(estimate.socialContributions)}`;
+  els.takeHomeDisplay.textContent = fmt(estimate.netAnnual);
+  els.pensionRow.style.display = 'none';
+  els.loanRow.style.display    = 'none';
+
+  const RISE = 1000;
+  const extraNet = estimateNetSalary(solved.gross + RISE, state.country).netAnnual - estimate.netAnnual;
+  els.effectiveRate.textContent     = fmtPct(estimate.effectiveRate * 100);
+  els.marginalRate.textContent      = `${Math.round((1 - extraNet / RISE) * 100)}%`;
+  els.deductionsDisplay.textContent = fmt(estimate.totalDeductions);
+  els.solverNote.textContent = `${solverNote(solved, extraNet > 0 ? RISE / extraNet : 0, fmt)} International figures are estimates from simplified tax bands.`;
+}
+
+/**
+ * Switch the form between the UK engine and an international estimator.
+ */
+function applyCountry() {
+  const uk = isUK();
+  const country = uk ? SITE_DATA.countries.gb : SITE_DATA.countries[state.country];
+  els.ukOptions.hidden = !uk;
+  els.currencySymbol.textContent = country.currencySymbol;
+  els.countryHint.textContent = uk ? 'Where you pay income tax' : `${country.taxYear} rules · estimate`;
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.targetInput.addEventListener('input', () => {
+  state.targetNet = parseFloat(els.targetInput.value) || 0;
+  runCalculation();
+});
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  applyCountry();
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.pensionInput.addEventListener('input', () => {
+  state.pensionValue = parseFloat(els.pensionInput.value) || 0;
+  runCalculation();
+});
+
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+els.studentLoanSelect.addEventListener('change', () => {
+  state.studentLoan = els.studentLoanSelect.value;
+  runCalculation();
+});
+
+els.blindAllowance.addEventListener('change', () => {
+  state.blindPerson = els.blindAllowance.checked;
+  runCalculation();
+});
+
+els.marriageAllowance.addEventListener('change', () => {
+  state.marriageAllowance = els.marriageAllowance.checked;
+  runCalculation();
+});
+
+// Target period toggle
+document.querySelectorAll('.period-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    document.querySelectorAll('.period-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    state.targetPeriod = btn.dataset.period;
+    runCalculation();
+  });
+});
+
+// Pension unit toggle
+document.querySelectorAll('.unit-btn[data-unit]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    document.querySelectorAll('.unit-btn[data-unit]').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    state.pensionUnit = btn.dataset.unit;
+    runCalculation();
+  });
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+// International options come from the estimator data
+Object.values(SITE_DATA.countries)
+  .filter(country => country.estimatorBands)
+  .forEach(country => {
+    const option = document.createElement('option');
+    option.value = country.id;
+    option.textContent = country.name;
+    els.internationalOptions.appendChild(option);
+  });
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
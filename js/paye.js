@@ -0,0 +1,343 @@
+/**
+ * PayCalcUK — PAYE Payroll Engine
+ * Period-by-period PAYE, NI and student loan from a tax code, as payroll software runs them.
+ * Requires js/calculator.js (window.UKCalc).
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   CONSTANTS
+───────────────────────────────────────────── */
+
+const PAYE_PERIODS = {
+  monthly: 12,
+  weekly:  52,
+};
+
+// Tax code prefix used when none is given
+const STANDARD_TAX_CODE_PREFIX = { scotland: 'S', wales: 'C' };
+
+/* ─────────────────────────────────────────────
+   PERIOD HELPERS
+───────────────────────────────────────────── */
+
+/**
+ * Scale cumulative band limits to a point in the tax year.
+ * Rate limits are rounded up to the next whole pound, as in HMRC's tables.
+ * @param {Array}  bands
+ * @param {number} fraction  Share of the tax year, e.g. 3/12 for month 3
+ * @returns {Array}
+ */
+function scaleBands(bands, fraction) {
+  return bands.map(band => ({
+    ...band,
+    limit: band.limit === Infinity ? Infinity : Math.ceil(band.limit * fraction),
+  }));
+}
+
+/**
+ * Round down to whole pence.
+ * @param {number} value
+ * @returns {number}
+ */
+function truncatePence(value) {
+  return Math.floor(value * 100 + 1e-6) / 100;
+}
+
+/**
+ * NI thresholds and rates for a single pay period.
+ * @param {object} rules      Tax year rules
+ * @param {string} frequency  'monthly'|'weekly'
+ * @param {number} period     1-based period number
+ * @returns {object} rules-shaped object for UKCalc.calculateNIBreakdown
+ */
+function getPeriodNIRules(rules, frequency, period) {
+  const periods = PAYE_PERIODS[frequency];
+  const { primaryThreshold, upperEarningsLimit, rateStandard, rateUpper, mainRateChange } = rules.ni;
+
+  let rate = rateStandard;
+  if (mainRateChange) {
+    const from = frequency === 'weekly' ? mainRateChange.fromWeek : mainRateChange.fromMonth;
+    rate = period >= from ? mainRateChange.rateAfter : mainRateChange.rateBefore;
+  }
+
+  return {
+    ni: {
+      primaryThreshold:   Math.round(primaryThreshold / periods),
+      upperEarningsLimit: Math.round(upperEarningsLimit / periods),
+      rateStandard:       rate,
+      rateUpper,
+    },
+  };
+}
+
+/**
+ * Student loan thresholds for a single pay period.
+ * @param {object} rules    Tax year rules
+ * @param {number} periods  Pay periods in the year
+ * @returns {object} rules-shaped object for UKCalc.calculateStudentLoanBreakdown
+ */
+function getPeriodLoanRules(rules, periods) {
+  const studentLoanPlans = {};
+  Object.entries(rules.studentLoanPlans).forEach(([plan, config]) => {
+    studentLoanPlans[plan] = { ...config, threshold: config.threshold / periods };
+  });
+  return { studentLoanPlans };
+}
+
+/* ─────────────────────────────────────────────
+   PAYROLL SIMULATION
+───────────────────────────────────────────── */
+
+/**
+ * Run a tax year of payslips.
+ *
+ * @param {object} params
+ * @param {string}   params.taxCode        e.g. '1257L', 'S1257L M1', 'K475', 'BR'
+ * @param {string}   params.frequency      'monthly'|'weekly'
+ * @param {number[]} params.periodPay      Gross pay for each period (missing periods are £0)
+ * @param {string}   [params.taxYear]      e.g. '2025/26'
+ * @param {number}   [params.pensionValue] Employee pension, % of gross pay
+ * @param {string}   [params.pensionScheme] 'sacrifice'|'netpay'|'ras'
+ * @param {string}   [params.studentLoan]  'none', a plan, or plans joined with '+' (e.g. 'plan2+postgrad')
+ *
+ * @returns {object} { taxCode, periods: [...], totals }
+ */
+function simulatePayroll(params) {
+  const {
+    taxCode,
+    frequency = 'monthly',
+    periodPay = [],
+    taxYear,
+    pensionValue = 0,
+    pensionScheme = 'sacrifice',
+    studentLoan = 'none',
+  } = params;
+
+  const calc = window.UKCalc;
+  const rules = calc.getTaxYearRules(taxYear);
+  const code = calc.parseTaxCode(taxCode);
+  if (!code.valid) {
+    return { taxCode: code, periods: [], totals: null, error: code.error };
+  }
+
+  const periods = PAYE_PERIODS[frequency] || PAYE_PERIODS.monthly;
+  const bands = calc.getBands(code.country, rules);
+  const loanRules = getPeriodLoanRules(rules, periods);
+
+  const rows = [];
+  let taxablePayToDate = 0;
+  let taxPaidToDate = 0;
+
+  for (let n = 1; n <= periods; n++) {
+    const gross = Math.max(0, periodPay[n - 1] || 0);
+
+    // Pension — same scheme rules as the annual engine
+    const contribution = calc.calcPension(gross, pensionValue, 'percent');
+    const isRAS = pensionScheme === 'ras';
+    const pension = isRAS ? contribution * (1 - calc.PENSION_RAS_RELIEF_RATE) : contribution;
+    const niablePay = gross - (pensionScheme === 'sacrifice' ? contribution : 0);
+    const taxablePay = isRAS ? gross : gross - contribution;
+    taxablePayToDate += taxablePay;
+
+    // Income tax
+    let tax = 0;
+    let freePayToDate = 0;
+    if (code.flatRate === 'NT') {
+      tax = 0;
+    } else if (code.flatRate) {
+      tax = truncatePence(taxablePay * calc.getFlatRate(code.flatRate, bands));
+    } else if (code.nonCumulative) {
+      freePayToDate = code.allowance / periods;
+      const taxable = Math.floor(Math.max(0, taxablePay - freePayToDate));
+      tax = truncatePence(calc.applyBands(taxable, scaleBands(bands, 1 / periods)));
+    } else {
+      freePayToDate = code.allowance * n / periods;
+      const taxableToDate = Math.floor(Math.max(0, taxablePayToDate - freePayToDate));
+      const taxDueToDate = truncatePence(calc.applyBands(taxableToDate, scaleBands(bands, n / periods)));
+      tax = Math.round((taxDueToDate - taxPaidToDate) * 100) / 100;
+    }
+
+    if (code.isK) {
+      tax = Math.min(tax, truncatePence(taxablePay * calc.K_CODE_REGULATORY_LIMIT));
+    }
+    taxPaidToDate += tax;
+
+    // National Insurance — always non-cumulative for employees
+    const ni = truncatePence(
+      calc.calculateNIBreakdown(niablePay, getPeriodNIRules(rules, frequency, n))
+        .reduce((sum, band) => sum + band.taxInBand, 0)
+    );
+
+    // Student loan — non-cumulative, rounded down to whole pounds. Undergraduate
+    // plans make one deduction between them; a postgraduate loan is its own
+    const loans = calc.calculateStudentLoanBreakdown(niablePay, studentLoan, loanRules);
+    const loanTotal = postgrad => loans
+      .filter(entry => (entry.plan === 'postgrad') === postgrad)
+      .reduce((total, entry) => total + entry.repayment, 0);
+    const loan = Math.floor(loanTotal(false)) + Math.floor(loanTotal(true));
+
+    rows.push({
+      period: n,
+      gross,
+      freePayToDate,
+      taxablePayToDate,
+      taxPaidToDate,
+      tax,
+      ni,
+      pension,
+      studentLoan: loan,
+      net: gross - tax - ni - pension - loan,
+    });
+  }
+
+  const sum = key => rows.reduce((total, row) => total + row[key], 0);
+
+  return {
+    taxCode: code,
+    frequency,
+    taxYear: rules.label,
+    periods: rows,
+    totals: {
+      gross:       sum('gross'),
+      tax:         sum('tax'),
+      ni:          sum('ni'),
+      pension:     sum('pension'),
+      studentLoan: sum('studentLoan'),
+      net:         sum('net'),
+    },
+  };
+}
+
+/* ─────────────────────────────────────────────
+   BONUS & ONE-OFF PAYMENTS
+───────────────────────────────────────────── */
+
+/**
+ * Work out what a one-off payment costs, both on the payslip it's paid in
+ * and once the tax year is settled.
+ *
+ * PAYE taxes the bonus month cumulatively, so tax can be over- or
+ * under-collected when the bonus takes income past the £100k taper or into a
+ * higher band; HMRC settles the difference after the year end. NI is worked
+ * out per pay period and is never reconciled. Student loan repayments are
+ * per period too and stand, unless the year's income is under the plan
+ * threshold — then everything taken can be reclaimed.
+ *
+ * @param {object} params
+ * @param {number} params.salary          Annual salary before the bonus
+ * @param {number} params.bonus           One-off gross payment
+ * @param {number} params.month           Tax month it's paid in (1 = April)
+ * @param {string} params.country         'england'|'scotland'|'wales'|'ni'
+ * @param {string} [params.taxCode]       Defaults to the standard code for the country
+ * @param {string} [params.taxYear]
+ * @param {number} [params.pensionValue]  Employee pension, % of all pay including the bonus
+ * @param {string} [params.pensionScheme]
+ * @param {string} [params.studentLoan]
+ *
+ * @returns {object} { payslip, taxYearPaye, yearEnd, settlement, ... }
+ */
+function calculateBonus(params) {
+  const {
+    salary,
+    bonus,
+    month,
+    country,
+    taxCode,
+    taxYear,
+    pensionValue = 0,
+    pensionScheme = 'sacrifice',
+    studentLoan = 'none',
+  } = params;
+
+  const calc = window.UKCalc;
+  const rules = calc.getTaxYearRules(taxYear);
+  const periods = PAYE_PERIODS.monthly;
+  const bonusMonth = Math.min(periods, Math.max(1, month || 1));
+  const bonusAmount = Math.max(0, bonus || 0);
+  const standardCode = `${STANDARD_TAX_CODE_PREFIX[country] || ''}${rules.personalAllowance / 10}L`;
+  const code = taxCode || standardCode;
+
+  // PAYE: the same year of payslips with and without the bonus
+  const monthlyPay = Array(periods).fill(Math.max(0, salary || 0) / periods);
+  const payrollParams = { taxCode: code, frequency: 'monthly', taxYear, pensionValue, pensionScheme, studentLoan };
+  const withoutBonus = simulatePayroll({ ...payrollParams, periodPay: monthlyPay });
+  if (withoutBonus.error) {
+    return { error: withoutBonus.error };
+  }
+  const withBonus = simulatePayroll({
+    ...payrollParams,
+    periodPay: monthlyPay.map((pay, i) => (i === bonusMonth - 1 ? pay + bonusAmount : pay)),
+  });
+
+  const pence = value => Math.round(value * 100) / 100;
+  const difference = (after, before) => ({
+    tax:         pence(after.tax - before.tax),
+    ni:          pence(after.ni - before.ni),
+    pension:     pence(after.pension - before.pension),
+    studentLoan: pence(after.studentLoan - before.studentLoan),
+  });
+  const withNet = deductions => ({
+    ...deductions,
+    net: pence(bonusAmount - deductions.tax - deductions.ni - deductions.pension - deductions.studentLoan),
+  });
+
+  const payslip = withNet(difference(withBonus.periods[bonusMonth - 1], withoutBonus.periods[bonusMonth - 1]));
+  const taxYearPaye = withNet(difference(withBonus.totals, withoutBonus.totals));
+
+  // Year end: the tax and student loan actually due on a year's income. Any
+  // other code's allowance stands; the standard code is settled against the
+  // Personal Allowance the year's income really gets, after the £100k taper
+  const isStandardCode = withBonus.taxCode.code === calc.parseTaxCode(standardCode).code;
+  const annualParams = {
+    taxYear,
+    taxCode: isStandardCode ? undefined : code,
+    salaryPeriod: 'annual',
+    country: withBonus.taxCode.prefix ? withBonus.taxCode.country : country,
+    pensionValue,
+    pensionUnit: 'percent',
+    pensionScheme,
+    studentLoan,
+  };
+  const annualBefore = calc.calculate({ ...annualParams, salaryAmount: salary });
+  const annualAfter = calc.calculate({ ...annualParams, salaryAmount: salary + bonusAmount });
+
+  const yearEnd = withNet({
+    tax:         pence(annualAfter.incomeTax - annualBefore.incomeTax),
+    ni:          taxYearPaye.ni,
+    pension:     taxYearPaye.pension,
+    studentLoan: annualAfter.studentLoanRepayment > 0 ? taxYearPaye.studentLoan : 0,
+  });
+
+  const bandAt = result => result.taxBreakdown.filter(band => band.amountInBand > 0).pop();
+  const bandBefore = bandAt(annualBefore);
+  const bandAfter = bandAt(annualAfter);
+
+  return {
+    taxCode:     withBonus.taxCode,
+    taxYear:     rules.label,
+    bonus:       bonusAmount,
+    month:       bonusMonth,
+    payslip,
+    taxYearPaye,
+    yearEnd,
+    settlement: {
+      // Positive: HMRC collects more after the year end; negative: a refund
+      tax:         pence(yearEnd.tax - taxYearPaye.tax),
+      studentLoan: pence(yearEnd.studentLoan - taxYearPaye.studentLoan),
+    },
+    marginalRateBefore: annualBefore.marginalRate,
+    effectiveRateOnBonus: bonusAmount > 0 ? ((bonusAmount - yearEnd.net) / bonusAmount) * 100 : 0,
+    personalAllowanceLost: annualBefore.personalAllowance - annualAfter.personalAllowance,
+    bandBefore: bandBefore ? bandBefore.bandName : null,
+    bandAfter:  bandAfter ? bandAfter.bandName : null,
+  };
+}
+
+// Export alongside the main engine
+Object.assign(window.UKCalc, {
+  simulatePayroll,
+  calculateBonus,
+  PAYE_PERIODS,
+});
@@ -0,0 +1,216 @@
+/**
+ * PayCalcUK — Payslip Simulator Controller
+ * Runs a tax year of PAYE payslips and renders them period by period
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:       window.UKCalc.TAX_YEAR,
+  taxCode:       '1257L',
+  frequency:     'monthly',
+  salaryAmount:  35000,
+  periodPay:     [],
+  pensionValue:  0,
+  pensionScheme: 'sacrifice',
+  studentLoan:   'none',
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  salaryInput:         $('salaryInput'),
+  taxCodeInput:        $('taxCodeInput'),
+  taxCodeHint:         $('taxCodeHint'),
+  taxYearSelect:       $('taxYearSelect'),
+  pensionInput:        $('pensionInput'),
+  pensionSchemeSelect: $('pensionSchemeSelect'),
+  studentLoanSelect:   $('studentLoanSelect'),
+
+  // Results
+  totalNet:            $('totalNet'),
+  payrollSummary:      $('payrollSummary'),
+  totalGross:          $('totalGross'),
+  totalTax:            $('totalTax'),
+  totalNI:             $('totalNI'),
+  totalPension:        $('totalPension'),
+  totalLoan:           $('totalLoan'),
+  totalNetDisplay:     $('totalNetDisplay'),
+  payrollNote:         $('payrollNote'),
+  payslipTableTitle:   $('payslipTableTitle'),
+  payslipTableNote:    $('payslipTableNote'),
+  payslipBody:         $('payslipBody'),
+  payslipFoot:         $('payslipFoot'),
+};
+
+const TAX_CODE_HINT = els.taxCodeHint.textContent;
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+/**
+ * Spread the annual salary evenly across every pay period.
+ */
+function resetPeriodPay() {
+  const periods = window.UKCalc.PAYE_PERIODS[state.frequency];
+  const perPeriod = Math.round(state.salaryAmount / periods * 100) / 100;
+  state.periodPay = Array(periods).fill(perPeriod);
+}
+
+function runCalculation() {
+  const payroll = window.UKCalc.simulatePayroll({
+    taxCode:       state.taxCode,
+    frequency:     state.frequency,
+    periodPay:     state.periodPay,
+    taxYear:       state.taxYear,
+    pensionValue:  state.pensionValue,
+    pensionScheme: state.pensionScheme,
+    studentLoan:   state.studentLoan,
+  });
+
+  if (payroll.error) {
+    els.taxCodeHint.textContent = payroll.error;
+    els.taxCodeInput.setAttribute('aria-invalid', 'true');
+    return;
+  }
+
+  els.taxCodeHint.textContent = TAX_CODE_HINT;
+  els.taxCodeInput.removeAttribute('aria-invalid');
+  renderResults(payroll);
+}
+
+function renderResults(p) {
+  const fmt = window.UKCalc.formatCurrency;
+  const pence = value => fmt(value, true);
+  const label = state.frequency === 'weekly' ? 'Week' : 'Month';
+  const code = p.taxCode;
+
+  // Totals
+  els.totalNet.textContent        = fmt(p.totals.net);
+  els.totalNetDisplay.textContent = fmt(p.totals.net);
+  els.totalGross.textContent      = fmt(p.totals.gross);
+  els.totalTax.textContent        = `−${fmt(p.totals.tax)}`;
+  els.totalNI.textContent         = `−${fmt(p.totals.ni)}`;
+  els.totalPension.textContent    = `−${fmt(p.totals.pension)}`;
+  els.totalLoan.textContent       = `−${fmt(p.totals.studentLoan)}`;
+  els.payrollSummary.textContent  = `${p.periods.length} ${state.frequency} payslips`;
+
+  if (code.flatRate === 'NT') {
+    els.payrollNote.textContent = 'NT code: no income tax is taken from this pay.';
+  } else if (code.flatRate) {
+    els.payrollNote.textContent = `${code.flatRate} code: every pound is taxed at one flat rate with no tax-free allowance.`;
+  } else if (code.nonCumulative) {
+    els.payrollNote.textContent = 'Emergency (week 1/month 1) code: each payslip is taxed on its own, ignoring pay and tax earlier in the year.';
+  } else if (code.isK) {
+    els.payrollNote.textContent = 'K code: untaxed income is added to your pay. Tax on any payslip is capped at half that period\'s pay.';
+  } else {
+    els.payrollNote.textContent = 'Tax is worked out cumulatively: each payslip uses your pay and free pay to date.';
+  }
+
+  // Payslip table
+  els.payslipTableTitle.textContent = state.frequency === 'weekly' ? 'Weekly Payslips' : 'Monthly Payslips';
+  els.payslipTableNote.textContent  = `Tax year ${p.taxYear} · Tax code ${code.code}`;
+
+  els.payslipBody.innerHTML = p.periods.map(row => `
+    <tr>
+      <td>${label} ${row.period}</td>
+      <td class="num"><input type="number" class="option-input" data-period="${row.period}" value="${row.gross}" min="0" step="0.01" aria-label="${label} ${row.period} gross pay"></td>
+      <td class="num">${pence(row.freePayToDate)}</td>
+      <td class="num">${row.tax < 0 ? '−' : ''}${pence(row.tax)}</td>
+      <td class="num">${pence(row.taxPaidToDate)}</td>
+      <td class="num">${pence(row.ni)}</td>
+      <td class="num">${pence(row.pension)}</td>
+      <td class="num">${pence(row.studentLoan)}</td>
+      <td class="num">${pence(row.net)}</td>
+    </tr>`).join('');
+
+  els.payslipFoot.innerHTML = `
+    <tr>
+      <td>Total</td>
+      <td class="num">${pence(p.totals.gross)}</td>
+      <td class="num"></td>
+      <td class="num">${pence(p.totals.tax)}</td>
+      <td class="num"></td>
+      <td class="num">${pence(p.totals.ni)}</td>
+      <td class="num">${pence(p.totals.pension)}</td>
+      <td class="num">${pence(p.totals.studentLoan)}</td>
+      <td class="num">${pence(p.totals.net)}</td>
+    </tr>`;
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.salaryInput.addEventListener('input', () => {
+  state.salaryAmount = parseFloat(els.salaryInput.value) || 0;
+  resetPeriodPay();
+  runCalculation();
+});
+
+els.taxCodeInput.addEventListener('input', () => {
+  state.taxCode = els.taxCodeInput.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.pensionInput.addEventListener('input', () => {
+  state.pensionValue = parseFloat(els.pensionInput.value) || 0;
+  runCalculation();
+});
+
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+els.studentLoanSelect.addEventListener('change', () => {
+  state.studentLoan = els.studentLoanSelect.value;
+  runCalculation();
+});
+
+// Pay frequency toggle
+document.querySelectorAll('.period-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    document.querySelectorAll('.period-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    state.frequency = btn.dataset.frequency;
+    resetPeriodPay();
+    runCalculation();
+  });
+});
+
+// A pay change on one payslip carries through to every later payslip
+els.payslipBody.addEventListener('change', e => {
+  const period = Number(e.target.dataset.period);
+  if (!period) return;
+
+  const pay = Math.max(0, parseFloat(e.target.value) || 0);
+  for (let n = period; n <= state.periodPay.length; n++) {
+    state.periodPay[n - 1] = pay;
+  }
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+resetPeriodPay();
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
@@ -0,0 +1,212 @@
+/**
+ * PayCalcUK — Pension Allowance Controller
+ * Checks pension savings against the annual allowance, with the taper for
+ * high earners and carry-forward from the three previous years
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:              window.UKCalc.TAX_YEAR,
+  salary:               120000,
+  employeeContribution: 40000,
+  pensionScheme:        'sacrifice',
+  employerContribution: 30000,
+  otherIncome:          0,
+  country:              'england',
+  // Most recent year first; null for a year without a pension scheme
+  previousPensionInputs: [null, null, null],
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  salaryInput:         $('salaryInput'),
+  employeeInput:       $('employeeInput'),
+  pensionSchemeSelect: $('pensionSchemeSelect'),
+  employerInput:       $('employerInput'),
+  otherIncomeInput:    $('otherIncomeInput'),
+  countrySelect:       $('countrySelect'),
+  taxYearSelect:       $('taxYearSelect'),
+  previousInputs:      document.querySelectorAll('[data-previous]'),
+  previousNames:       document.querySelectorAll('[data-previous-name]'),
+
+  // Results
+  heroLabel:              $('heroLabel'),
+  heroAmount:             $('heroAmount'),
+  heroPeriod:             $('heroPeriod'),
+  employeeDisplay:        $('employeeDisplay'),
+  employerDisplay:        $('employerDisplay'),
+  allowanceLabel:         $('allowanceLabel'),
+  allowanceDisplay:       $('allowanceDisplay'),
+  carryForwardDisplay:    $('carryForwardDisplay'),
+  excessDisplay:          $('excessDisplay'),
+  chargeDisplay:          $('chargeDisplay'),
+  allowanceNote:          $('allowanceNote'),
+  thresholdIncomeDisplay: $('thresholdIncomeDisplay'),
+  adjustedIncomeDisplay:  $('adjustedIncomeDisplay'),
+  chargeRateDisplay:      $('chargeRateDisplay'),
+
+  // Carry-forward
+  carryForwardNote: $('carryForwardNote'),
+  carryForwardBody: $('carryForwardBody'),
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  const r = window.UKCalc.calculate({
+    salaryAmount:          state.salary,
+    salaryPeriod:          'annual',
+    country:               state.country,
+    pensionValue:          state.employeeContribution,
+    pensionUnit:           'fixed',
+    pensionScheme:         state.pensionScheme,
+    employerPensionValue:  state.employerContribution,
+    employerPensionUnit:   'fixed',
+    studentLoan:           'none',
+    savingsInterest:       state.otherIncome,
+    taxYear:               state.taxYear,
+    previousPensionInputs: state.previousPensionInputs,
+  });
+
+  renderResults(r, r.annualAllowance);
+  renderCarryForward(r.annualAllowance);
+}
+
+function renderResults(r, aa) {
+  const fmt = window.UKCalc.formatCurrency;
+
+  if (aa.excess > 0) {
+    els.heroLabel.textContent  = 'Annual Allowance Charge';
+    els.heroAmount.textContent = fmt(aa.charge);
+    els.heroPeriod.textContent = `on ${fmt(aa.excess)} over the allowance`;
+  } else {
+    els.heroLabel.textContent  = 'Allowance Left This Year';
+    els.heroAmount.textContent = fmt(aa.headroom);
+    els.heroPeriod.textContent = aa.carryForwardAvailable > 0
+      ? `including ${fmt(aa.carryForwardAvailable - aa.carryForwardUsed)} of carry-forward`
+      : 'no annual allowance charge';
+  }
+
+  els.employeeDisplay.textContent     = fmt(r.pensionContribution);
+  els.employerDisplay.textContent     = fmt(r.employerPensionAnnual);
+  els.allowanceLabel.textContent      = aa.tapered ? 'Tapered Annual Allowance' : 'Annual Allowance';
+  els.allowanceDisplay.textContent    = `−${fmt(Math.min(aa.allowance, aa.pensionInput))}`;
+  els.carryForwardDisplay.textContent = `−${fmt(aa.carryForwardUsed)}`;
+  els.excessDisplay.textContent       = fmt(aa.excess);
+  els.chargeDisplay.textContent       = `−${fmt(aa.charge)}`;
+
+  els.thresholdIncomeDisplay.textContent = fmt(aa.thresholdIncome);
+  els.adjustedIncomeDisplay.textContent  = fmt(aa.adjustedIncome);
+  els.chargeRateDisplay.textContent      = aa.excess > 0 ? `${Math.round(aa.chargeRate * 100)}%` : '—';
+
+  els.allowanceNote.textContent = allowanceNote(aa, fmt);
+}
+
+/**
+ * Why the allowance is what it is — the taper tests, in plain words.
+ */
+function allowanceNote(aa, fmt) {
+  const { annualAllowance } = window.UKCalc.getTaxYearRules(state.taxYear);
+  if (aa.tapered) {
+    return `Your threshold income is over ${fmt(annualAllowance.thresholdIncomeLimit)} and adjusted income over ${fmt(annualAllowance.adjustedIncomeLimit)}, so your allowance is cut by £1 for every £2 over, to ${fmt(aa.allowance)}${aa.allowance === annualAllowance.minimum ? ' — the minimum' : ''}.`;
+  }
+  if (aa.adjustedIncome > annualAllowance.adjustedIncomeLimit) {
+    return `Your adjusted income is over ${fmt(annualAllowance.adjustedIncomeLimit)}, but threshold income of ${fmt(aa.thresholdIncome)} keeps you out of the taper.`;
+  }
+  return `You get the full ${fmt(aa.standardAllowance)} allowance. It only tapers once threshold income is over ${fmt(annualAllowance.thresholdIncomeLimit)} and adjusted income over ${fmt(annualAllowance.adjustedIncomeLimit)}.`;
+}
+
+function renderCarryForward(aa) {
+  const fmt = window.UKCalc.formatCurrency;
+  const thisYear = {
+    taxYear:      aa.taxYear,
+    member:       true,
+    allowance:    aa.allowance,
+    pensionInput: aa.pensionInput,
+    unused:       Math.max(0, aa.allowance - aa.pensionInput),
+    used:         Math.min(aa.allowance, aa.pensionInput),
+  };
+
+  els.carryForwardNote.textContent = `Tax year ${aa.taxYear}`;
+  els.carryForwardBody.innerHTML = [...aa.carryForward, thisYear].map(entry => `
+    <tr>
+      <td>${entry.taxYear === aa.taxYear ? `<strong>${entry.taxYear} (this year)</strong>` : entry.taxYear}</td>
+      <td class="num">${fmt(entry.allowance)}</td>
+      <td class="num">${entry.member ? fmt(entry.pensionInput) : 'Not in a scheme'}</td>
+      <td class="num">${fmt(entry.unused)}</td>
+      <td class="num">${fmt(entry.used)}</td>
+    </tr>`).join('');
+
+  // Label the previous-year inputs for the tax year chosen
+  aa.carryForward.slice().reverse().forEach((entry, i) => {
+    els.previousNames[i].textContent = `Pension Savings ${entry.taxYear}`;
+  });
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.salaryInput.addEventListener('input', () => {
+  state.salary = parseFloat(els.salaryInput.value) || 0;
+  runCalculation();
+});
+
+els.employeeInput.addEventListener('input', () => {
+  state.employeeContribution = parseFloat(els.employeeInput.value) || 0;
+  runCalculation();
+});
+
+els.pensionSchemeSelect.addEventListener('change', () => {
+  state.pensionScheme = els.pensionSchemeSelect.value;
+  runCalculation();
+});
+
+els.employerInput.addEventListener('input', () => {
+  state.employerContribution = parseFloat(els.employerInput.value) || 0;
+  runCalculation();
+});
+
+els.otherIncomeInput.addEventListener('input', () => {
+  state.otherIncome = parseFloat(els.otherIncomeInput.value) || 0;
+  runCalculation();
+});
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+// Blank means no pension scheme that year, so no carry-forward from it
+els.previousInputs.forEach(input => {
+  input.addEventListener('input', () => {
+    const value = parseFloat(input.value);
+    state.previousPensionInputs[Number(input.dataset.previous)] = value >= 0 ? value : null;
+    runCalculation();
+  });
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
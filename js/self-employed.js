@@ -0,0 +1,271 @@
+/**
+ * PayCalcUK — Self-Employed Controller
+ * Sole trader tax, Class 4/Class 2 NI and Self Assessment payment dates,
+ * compared with taking the same money as a salary
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:             window.UKCalc.TAX_YEAR,
+  turnover:            50000,
+  expenses:            5000,
+  useTradingAllowance: false,
+  country:             'england',
+  studentLoan:         'none',
+  age:                 null,
+  voluntaryClass2:     false,
+  firstYear:           false,
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  turnoverInput:     $('turnoverInput'),
+  expensesInput:     $('expensesInput'),
+  expensesHint:      $('expensesHint'),
+  tradingAllowance:  $('tradingAllowance'),
+  countrySelect:     $('countrySelect'),
+  taxYearSelect:     $('taxYearSelect'),
+  studentLoanSelect: $('studentLoanSelect'),
+  ageInput:          $('ageInput'),
+  voluntaryClass2:   $('voluntaryClass2'),
+  class2Hint:        $('class2Hint'),
+  firstYear:         $('firstYear'),
+
+  // Results
+  takeHomeAmount:    $('takeHomeAmount'),
+  takeHomePeriod:    $('takeHomePeriod'),
+  turnoverDisplay:   $('turnoverDisplay'),
+  deductionLabel:    $('deductionLabel'),
+  deductionDisplay:  $('deductionDisplay'),
+  profitDisplay:     $('profitDisplay'),
+  taxDisplay:        $('taxDisplay'),
+  class4Display:     $('class4Display'),
+  class2Display:     $('class2Display'),
+  class2Row:         $('class2Row'),
+  loanDisplay:       $('loanDisplay'),
+  loanRow:           $('loanRow'),
+  takeHomeDisplay:   $('takeHomeDisplay'),
+  class2Note:        $('class2Note'),
+  effectiveRate:     $('effectiveRate'),
+  marginalRate:      $('marginalRate'),
+  taxBillDisplay:    $('taxBillDisplay'),
+
+  // Payments and comparison
+  paymentsNote:      $('paymentsNote'),
+  paymentsBody:      $('paymentsBody'),
+  paymentsExplainer: $('paymentsExplainer'),
+  comparisonBody:    $('comparisonBody'),
+  comparisonNote:    $('comparisonNote'),
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  const r = window.UKCalc.calculateSelfEmployed({
+    turnover:            state.turnover,
+    expenses:            state.expenses,
+    useTradingAllowance: state.useTradingAllowance,
+    country:             state.country,
+    studentLoan:         state.studentLoan,
+    age:                 state.age,
+    voluntaryClass2:     state.voluntaryClass2,
+    firstYear:           state.firstYear,
+    taxYear:             state.taxYear,
+  });
+
+  renderResults(r);
+  renderPayments(r);
+  renderComparison(r);
+}
+
+function renderResults(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const fmtPct = window.UKCalc.formatPercent;
+
+  els.takeHomeAmount.textContent = fmt(r.takeHome);
+  els.takeHomePeriod.textContent = `per year · ${fmt(r.monthlyTakeHome)} per month`;
+
+  els.turnoverDisplay.textContent  = fmt(r.turnover);
+  els.deductionLabel.textContent   = r.usedTradingAllowance ? 'Trading Allowance' : 'Expenses';
+  els.deductionDisplay.textContent = `−${fmt(r.deduction)}`;
+  els.profitDisplay.textContent    = fmt(r.profit);
+  els.taxDisplay.textContent       = `−${fmt(r.incomeTax)}`;
+  els.class4Display.textContent    = `−${fmt(r.class4NI)}`;
+  els.class2Display.textContent    = `−${fmt(r.class2NI)}`;
+  els.loanDisplay.textContent      = `−${fmt(r.studentLoanRepayment)}`;
+  els.takeHomeDisplay.textContent  = fmt(r.takeHome);
+
+  els.class2Row.style.display = r.class2NI > 0 ? 'flex' : 'none';
+  els.loanRow.style.display   = r.studentLoanRepayment > 0 ? 'flex' : 'none';
+
+  els.effectiveRate.textContent  = fmtPct(r.effectiveTaxRate);
+  els.marginalRate.textContent   = `${Math.round(r.marginalRate)}%`;
+  els.taxBillDisplay.textContent = fmt(r.incomeTax + r.class4NI + r.class2NI + r.studentLoanRepayment);
+
+  els.expensesInput.disabled = state.useTradingAllowance;
+  els.expensesHint.textContent = state.useTradingAllowance
+    ? 'Not used with the trading allowance'
+    : 'Costs of running the business';
+
+  const { class2 } = window.UKCalc.getTaxYearRules(state.taxYear).selfEmployed;
+  els.class2Hint.textContent = `${fmt(class2.weeklyRate, true)} a week to keep State Pension years on low profits`;
+  els.class2Note.textContent = class2Note(r, class2, fmt);
+}
+
+/**
+ * What happens with Class 2 NI at this profit: paid, credited free or voluntary.
+ */
+function class2Note(r, class2, fmt) {
+  switch (r.class2Status) {
+    case 'none':
+      return 'No National Insurance is due from State Pension age.';
+    case 'payable':
+      return `Class 2 NI of ${fmt(class2.weeklyRate, true)} a week is due on profits over ${fmt(class2.payableFrom)} in ${r.taxYear}.`;
+    case 'credited':
+      return `Profits over ${fmt(class2.smallProfitsThreshold)} count towards your State Pension without paying Class 2 NI.`;
+    default:
+      return r.class2NI > 0
+        ? `You're paying ${fmt(r.class2Annual)} of voluntary Class 2 NI so this year counts towards your State Pension.`
+        : `Profits under ${fmt(class2.smallProfitsThreshold)} don't count towards your State Pension unless you pay ${fmt(r.class2Annual)} of voluntary Class 2 NI.`;
+  }
+}
+
+function renderPayments(r) {
+  const fmt = window.UKCalc.formatCurrency;
+  const { due, schedule } = r.paymentsOnAccount;
+  const dueDate = iso => new Date(iso).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC',
+  });
+
+  els.paymentsNote.textContent = `Tax year ${r.taxYear}`;
+  els.paymentsBody.innerHTML = '';
+  schedule.forEach(payment => {
+    const tr = document.createElement('tr');
+    [[dueDate(payment.date)], [payment.label], [fmt(payment.amount, true), 'num']].forEach(([text, className]) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (className) td.className = className;
+      tr.appendChild(td);
+    });
+    els.paymentsBody.appendChild(tr);
+  });
+
+  if (!due) {
+    els.paymentsExplainer.textContent = 'Your income tax and Class 4 NI come to £1,000 or less, so there are no payments on account — the whole bill is due by 31 January.';
+  } else if (state.firstYear) {
+    els.paymentsExplainer.textContent = 'Nothing was paid in advance for your first year, so the January after it takes the whole bill plus the first half of next year\'s.';
+  } else {
+    els.paymentsExplainer.textContent = 'Assumes the years either side have the same profit, so payments on account cover the income tax and Class 4 NI and the balancing payment is only Class 2 NI and student loan.';
+  }
+}
+
+function renderComparison(r) {
+  const calc = window.UKCalc;
+  const fmt = calc.formatCurrency;
+  const employeeParams = {
+    salaryPeriod: 'annual',
+    country:      state.country,
+    pensionValue: 0,
+    pensionUnit:  'percent',
+    studentLoan:  state.studentLoan,
+    taxYear:      state.taxYear,
+    age:          state.age,
+  };
+  const employee = calc.calculate({ ...employeeParams, salaryAmount: r.profit });
+
+  const rows = [
+    ['Profit / salary', r.profit, employee.grossAnnual],
+    ['Income tax', r.incomeTax, employee.incomeTax],
+    ['National Insurance', r.class4NI + r.class2NI, employee.ni],
+    ['Student loan', r.studentLoanRepayment, employee.studentLoanRepayment],
+    ['Take-home', r.takeHome, employee.takeHome],
+    ['Employer NI', 0, employee.employerNIDue],
+  ];
+
+  els.comparisonBody.innerHTML = rows.map(([label, selfEmployed, employed]) => `
+    <tr>
+      <td>${label}</td>
+      <td class="num">${fmt(selfEmployed)}</td>
+      <td class="num">${fmt(employed)}</td>
+    </tr>`).join('');
+
+  const matched = calc.calculateGrossForNet(employeeParams, r.takeHome);
+  const difference = r.takeHome - employee.takeHome;
+  const notes = [difference >= 0
+    ? `Self-employed, you keep ${fmt(difference)} more a year than an employee on the same salary.`
+    : `Self-employed, you keep ${fmt(-difference)} less a year than an employee on the same salary.`];
+  if (matched && r.takeHome > 0) {
+    notes.push(`Matching your take-home as an employee needs a salary of ${fmt(matched.grossAnnual)}, which costs an employer ${fmt(matched.result.employerCost)} with employer NI.`);
+  }
+  els.comparisonNote.textContent = notes.join(' ');
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+els.turnoverInput.addEventListener('input', () => {
+  state.turnover = parseFloat(els.turnoverInput.value) || 0;
+  runCalculation();
+});
+
+els.expensesInput.addEventListener('input', () => {
+  state.expenses = parseFloat(els.expensesInput.value) || 0;
+  runCalculation();
+});
+
+els.tradingAllowance.addEventListener('change', () => {
+  state.useTradingAllowance = els.tradingAllowance.checked;
+  runCalculation();
+});
+
+els.countrySelect.addEventListener('change', () => {
+  state.country = els.countrySelect.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+els.studentLoanSelect.addEventListener('change', () => {
+  state.studentLoan = els.studentLoanSelect.value;
+  runCalculation();
+});
+
+els.ageInput.addEventListener('input', () => {
+  const age = parseInt(els.ageInput.value, 10);
+  state.age = age >= 0 ? age : null;
+  runCalculation();
+});
+
+els.voluntaryClass2.addEventListener('change', () => {
+  state.voluntaryClass2 = els.voluntaryClass2.checked;
+  runCalculation();
+});
+
+els.firstYear.addEventListener('change', () => {
+  state.firstYear = els.firstYear.checked;
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
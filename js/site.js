@@ -0,0 +1,124 @@
+/**
+ * PayCalcUK — Shared Page Behaviour
+ * Navigation, FAQ accordion, scrolling and result widgets used on every PayCalcUK page
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   MOBILE MENU
+───────────────────────────────────────────── */
+
+const mobileMenuToggle = document.getElementById('mobileMenuToggle');
+const mobileMenu = document.getElementById('mobileMenu');
+
+mobileMenuToggle.addEventListener('click', () => {
+  mobileMenu.classList.toggle('open');
+});
+
+// Close mobile menu when a link is clicked
+document.querySelectorAll('.nav__mobile-link, .nav__mobile-menu .btn').forEach(link => {
+  link.addEventListener('click', () => {
+    mobileMenu.classList.remove('open');
+  });
+});
+
+/* ─────────────────────────────────────────────
+   FAQ ACCORDION
+───────────────────────────────────────────── */
+
+document.querySelectorAll('.faq-question').forEach(question => {
+  question.addEventListener('click', () => {
+    const item = question.closest('.faq-item');
+    const isOpen = item.classList.contains('open');
+
+    // Close all open items
+    document.querySelectorAll('.faq-item.open').forEach(openItem => {
+      openItem.classList.remove('open');
+      openItem.querySelector('.faq-question').setAttribute('aria-expanded', 'false');
+    });
+
+    // Open clicked item if it was closed
+    if (!isOpen) {
+      item.classList.add('open');
+      question.setAttribute('aria-expanded', 'true');
+    }
+  });
+});
+
+/* ─────────────────────────────────────────────
+   SMOOTH SCROLL FOR NAV LINKS
+───────────────────────────────────────────── */
+
+document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+  anchor.addEventListener('click', e => {
+    const target = document.querySelector(anchor.getAttribute('href'));
+    if (target) {
+      e.preventDefault();
+      const navHeight = document.querySelector('.nav-wrapper').offsetHeight;
+      const top = target.getBoundingClientRect().top + window.scrollY - navHeight - 16;
+      window.scrollTo({ top, behavior: 'smooth' });
+    }
+  });
+});
+
+/* ─────────────────────────────────────────────
+   STICKY NAV SHADOW
+───────────────────────────────────────────── */
+
+window.addEventListener('scroll', () => {
+  const nav = document.querySelector('.nav-wrapper');
+  if (window.scrollY > 10) {
+    nav.style.boxShadow = '0 1px 0 rgba(0,0,0,0.06), 0 4px 16px rgba(0,0,0,0.06)';
+  } else {
+    nav.style.boxShadow = '';
+  }
+}, { passive: true });
+
+/* ─────────────────────────────────────────────
+   BREAKDOWN BAR
+───────────────────────────────────────────── */
+
+/**
+ * Size the segments of a .breakdown-bar to a calculate() result.
+ * @param {object}      r    UKCalc.calculate() result
+ * @param {HTMLElement} bar  .breakdown-bar element
+ */
+function updateBreakdownBar(r, bar) {
+  const gross = r.grossAnnual + (r.otherIncome || 0);
+  if (gross <= 0 || !bar) return;
+
+  const shares = {
+    takehome: r.takeHome,
+    tax:      r.incomeTax,
+    ni:       r.ni,
+    pension:  r.pensionAnnual,
+    loan:     r.studentLoanRepayment,
+  };
+
+  Object.entries(shares).forEach(([key, amount]) => {
+    const segment = bar.querySelector(`.breakdown-bar__segment--${key}`);
+    if (segment) segment.style.width = `${Math.max(0, (amount / gross) * 100)}%`;
+  });
+}
+
+/* ─────────────────────────────────────────────
+   FILE DOWNLOADS
+───────────────────────────────────────────── */
+
+/**
+ * Download text as a file, without a round trip to any server.
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} type  MIME type
+ */
+function downloadFile(text, filename, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked on the next tick — some browsers cancel the download otherwise
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
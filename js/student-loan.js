@@ -0,0 +1,204 @@
+/**
+ * PayCalcUK — Student Loan Controller
+ * Projects undergraduate and postgraduate loan balances year by year until
+ * they're repaid or written off
+ */
+
+'use strict';
+
+/* ─────────────────────────────────────────────
+   STATE
+───────────────────────────────────────────── */
+const state = {
+  taxYear:          window.UKCalc.TAX_YEAR,
+  salary:           32000,
+  plan:             'plan2',
+  balance:          45000,
+  interestRate:     6,
+  postgradBalance:  0,
+  postgradInterest: 6,
+  yearsRepaid:      0,
+  salaryGrowth:     3,
+  thresholdGrowth:  0,
+};
+
+const PLAN_NAMES = {
+  plan1:    'Plan 1',
+  plan2:    'Plan 2',
+  plan4:    'Plan 4',
+  plan5:    'Plan 5',
+  postgrad: 'Postgraduate loan',
+};
+
+/* ─────────────────────────────────────────────
+   DOM REFERENCES
+───────────────────────────────────────────── */
+const $ = id => document.getElementById(id);
+
+const els = {
+  salaryInput:           $('salaryInput'),
+  planSelect:            $('planSelect'),
+  balanceInput:          $('balanceInput'),
+  interestInput:         $('interestInput'),
+  postgradBalanceInput:  $('postgradBalanceInput'),
+  postgradInterestInput: $('postgradInterestInput'),
+  yearsRepaidInput:      $('yearsRepaidInput'),
+  salaryGrowthInput:     $('salaryGrowthInput'),
+  thresholdGrowthInput:  $('thresholdGrowthInput'),
+  taxYearSelect:         $('taxYearSelect'),
+
+  // Results
+  heroLabel:           $('heroLabel'),
+  heroAmount:          $('heroAmount'),
+  heroPeriod:          $('heroPeriod'),
+  balanceDisplay:      $('balanceDisplay'),
+  interestDisplay:     $('interestDisplay'),
+  writtenOffDisplay:   $('writtenOffDisplay'),
+  totalPaidDisplay:    $('totalPaidDisplay'),
+  projectionNote:      $('projectionNote'),
+  monthlyDisplay:      $('monthlyDisplay'),
+  yearlyDisplay:       $('yearlyDisplay'),
+  paidPerPoundDisplay: $('paidPerPoundDisplay'),
+
+  // Projection
+  scheduleNote: $('scheduleNote'),
+  scheduleBody: $('scheduleBody'),
+  scheduleFoot: $('scheduleFoot'),
+};
+
+/* ─────────────────────────────────────────────
+   CALCULATION & RENDER
+───────────────────────────────────────────── */
+
+function runCalculation() {
+  const loans = [
+    { plan: state.plan,     balance: state.balance,         interestRate: state.interestRate },
+    { plan: 'postgrad',     balance: state.postgradBalance, interestRate: state.postgradInterest },
+  ].filter(loan => loan.plan !== 'none' && loan.balance > 0)
+    .map(loan => ({ ...loan, yearsRepaid: state.yearsRepaid }));
+
+  const p = window.UKCalc.projectStudentLoans({
+    loans,
+    salary:          state.salary,
+    salaryGrowth:    state.salaryGrowth,
+    thresholdGrowth: state.thresholdGrowth,
+    taxYear:         state.taxYear,
+  });
+
+  renderResults(p);
+  renderSchedule(p);
+}
+
+function renderResults(p) {
+  const fmt = window.UKCalc.formatCurrency;
+  const balance = p.loans.reduce((sum, loan) => sum + loan.balance, 0);
+  const last = p.schedule[p.schedule.length - 1];
+  const years = n => `${n} year${n === 1 ? '' : 's'}`;
+
+  if (!p.loans.length) {
+    els.heroLabel.textContent  = 'Nothing to Repay';
+    els.heroAmount.textContent = fmt(0);
+    els.heroPeriod.textContent = 'enter a plan and balance';
+  } else if (p.writtenOff > 0) {
+    els.heroLabel.textContent  = 'Written Off After';
+    els.heroAmount.textContent = years(p.years);
+    els.heroPeriod.textContent = last ? `at the end of ${last.taxYear}` : 'already past the write-off date';
+  } else {
+    els.heroLabel.textContent  = 'Repaid In';
+    els.heroAmount.textContent = years(p.years);
+    els.heroPeriod.textContent = `cleared in ${last.taxYear}`;
+  }
+
+  els.balanceDisplay.textContent    = fmt(balance);
+  els.interestDisplay.textContent   = fmt(p.totalInterest);
+  els.writtenOffDisplay.textContent = `−${fmt(p.writtenOff)}`;
+  els.totalPaidDisplay.textContent  = fmt(p.totalPaid);
+
+  const firstYear = p.schedule[0] ? p.schedule[0].repayment : 0;
+  els.monthlyDisplay.textContent      = fmt(firstYear / 12);
+  els.yearlyDisplay.textContent       = fmt(firstYear);
+  els.paidPerPoundDisplay.textContent = balance > 0 ? fmt(p.totalPaid / balance, true) : '—';
+
+  els.projectionNote.textContent = p.loans.map(loan => loanNote(loan, p, fmt)).join(' ');
+}
+
+/**
+ * One sentence on how each loan ends.
+ */
+function loanNote(loan, p, fmt) {
+  const name = PLAN_NAMES[loan.plan];
+  const ends = loan.years > 0 ? p.schedule[loan.years - 1].taxYear : null;
+  if (loan.outcome === 'repaid') {
+    return `${name} is cleared in ${ends}, after ${fmt(loan.totalPaid)} of repayments.`;
+  }
+  if (!ends) {
+    return `${name} is already past its ${loan.writeOffYears}-year write-off.`;
+  }
+  return `${name} is written off after ${loan.writeOffYears} years of repayments, at the end of ${ends}, with ${fmt(loan.writtenOff)} still owed.`;
+}
+
+function renderSchedule(p) {
+  const fmt = window.UKCalc.formatCurrency;
+
+  els.scheduleNote.textContent = `From ${p.taxYear}`;
+  els.scheduleBody.innerHTML = p.schedule.map(row => `
+    <tr>
+      <td>${row.taxYear}</td>
+      <td class="num">${fmt(row.salary)}</td>
+      <td class="num">${fmt(row.interest)}</td>
+      <td class="num">${fmt(row.repayment)}</td>
+      <td class="num">${fmt(row.closingBalance)}</td>
+    </tr>`).join('');
+
+  els.scheduleFoot.innerHTML = p.schedule.length ? `
+    <tr>
+      <td><strong>Total</strong></td>
+      <td></td>
+      <td class="num"><strong>${fmt(p.totalInterest)}</strong></td>
+      <td class="num"><strong>${fmt(p.totalPaid)}</strong></td>
+      <td class="num"><strong>${p.writtenOff > 0 ? `${fmt(p.writtenOff)} written off` : fmt(0)}</strong></td>
+    </tr>` : '';
+}
+
+/* ─────────────────────────────────────────────
+   INPUT HANDLERS
+───────────────────────────────────────────── */
+
+// Number inputs, by the state key each one sets
+const NUMBER_INPUTS = {
+  salaryInput:           'salary',
+  balanceInput:          'balance',
+  interestInput:         'interestRate',
+  postgradBalanceInput:  'postgradBalance',
+  postgradInterestInput: 'postgradInterest',
+  yearsRepaidInput:      'yearsRepaid',
+  salaryGrowthInput:     'salaryGrowth',
+  thresholdGrowthInput:  'thresholdGrowth',
+};
+
+Object.entries(NUMBER_INPUTS).forEach(([el, key]) => {
+  els[el].addEventListener('input', () => {
+    state[key] = Math.max(0, parseFloat(els[el].value) || 0);
+    runCalculation();
+  });
+});
+
+els.planSelect.addEventListener('change', () => {
+  state.plan = els.planSelect.value;
+  runCalculation();
+});
+
+els.taxYearSelect.addEventListener('change', () => {
+  state.taxYear = els.taxYearSelect.value;
+  runCalculation();
+});
+
+/* ─────────────────────────────────────────────
+   INITIALISE
+───────────────────────────────────────────── */
+
+if (document.readyState !== 'loading') {
+  runCalculation();
+} else {
+  document.addEventListener('DOMContentLoaded', runCalculation);
+}
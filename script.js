@@ -1,123 +1,89 @@
 /**
  * SalaryUKCalc.com — Shared Calculator Logic
  * Handles UK Salary → Hourly and Hourly → Salary calculators.
+ * UK tax rules live in js/calculator.js (window.UKCalc), which must be loaded first.
  * EU and Global country estimators use data/countries.js directly via inline scripts.
  *
  * Version: 2.0 — Multi-region platform
  */
 
-// UK Income Tax Configuration — 2025/26
-const TAX_CONFIG = {
-    personalAllowance: 12570,
-    personalAllowanceTaperThreshold: 100000,
-    personalAllowanceTaperRate: 0.5, // £1 reduction per £2 over threshold
-
-    bands: {
-        'ENG_2025_26': [
-            { name: "Basic rate",      rate: 0.20, upTo: 37700  },
-            { name: "Higher rate",     rate: 0.40, upTo: 112570 },
-            { name: "Additional rate", rate: 0.45, upTo: Infinity }
-        ],
-        'SCT_2025_26': [
-            { name: "Starter rate",      rate: 0.19, upTo: 2306   },
-            { name: "Basic rate",        rate: 0.20, upTo: 13991  },
-            { name: "Intermediate rate", rate: 0.21, upTo: 31092  },
-            { name: "Higher rate",       rate: 0.42, upTo: 62430  },
-            { name: "Advanced rate",     rate: 0.45, upTo: 112570 },
-            { name: "Top rate",          rate: 0.48, upTo: Infinity }
-        ]
-    }
+// Calculator region codes → UK engine country (js/calculator.js)
+const REGION_TO_COUNTRY = {
+    'ENG': 'england',
+    'SCT': 'scotland'
 };
 
-/**
- * Calculate Personal Allowance with tapering for high earners
- */
-function calculatePersonalAllowance(grossIncome) {
-    const { personalAllowance, personalAllowanceTaperThreshold, personalAllowanceTaperRate } = TAX_CONFIG;
-
-    if (grossIncome <= personalAllowanceTaperThreshold) {
-        return personalAllowance;
-    }
-
-    const excessIncome = grossIncome - personalAllowanceTaperThreshold;
-    const reduction = Math.floor(excessIncome * personalAllowanceTaperRate);
-    const adjustedPA = Math.max(0, personalAllowance - reduction);
-
-    return adjustedPA;
-}
+// Student loan plan codes → names for the breakdown table
+const STUDENT_LOAN_NAMES = {
+    'plan1': 'Plan 1',
+    'plan2': 'Plan 2',
+    'plan4': 'Plan 4',
+    'plan5': 'Plan 5',
+    'postgrad': 'Postgraduate'
+};
 
 /**
- * Calculate tax breakdown by band
+ * Calculate take-home pay via the shared UK engine — income tax, National
+ * Insurance, pension (salary sacrifice, % of salary) and student loan.
  */
-function calculateTaxBreakdown(taxableIncome, bands) {
-    const breakdown = [];
-    let remaining = taxableIncome;
-    let prevLimit = 0;
-
-    for (const band of bands) {
-        const bandCap = band.upTo;
-        const bandSize = (bandCap === Infinity) ? remaining : Math.max(0, Math.min(remaining, bandCap - prevLimit));
-
-        if (bandSize > 0) {
-            const tax = bandSize * band.rate;
-            breakdown.push({
-                bandName: band.name,
-                rate: band.rate,
-                amountInBand: bandSize,
-                taxInBand: tax
-            });
-
-            remaining -= bandSize;
-            prevLimit = bandCap;
+function calculateTakeHome(grossIncome, region, taxYear, pensionPercent, studentLoan) {
+    const result = window.UKCalc.calculate({
+        taxYear,
+        salaryAmount: grossIncome,
+        salaryPeriod: 'annual',
+        country: REGION_TO_COUNTRY[region] || 'england',
+        pensionValue: pensionPercent,
+        pensionUnit: 'percent',
+        studentLoan,
+        blindPerson: false,
+        marriageAllowance: false
+    });
+
+    const totalDeductions = result.incomeTax + result.ni + result.pensionAnnual + result.studentLoanRepayment;
 
-            if (remaining <= 0) break;
-        }
-    }
-
-    return breakdown;
+    return {
+        netAnnual: result.takeHome,
+        totalTax: result.incomeTax,
+        ni: result.ni,
+        totalDeductions,
+        personalAllowance: result.personalAllowance,
+        taxableIncome: result.taxableIncome,
+        effectiveRate: grossIncome > 0 ? (result.incomeTax / grossIncome) : 0,
+        breakdown: buildDeductionRows(result)
+    };
 }
 
 /**
- * Calculate Income Tax (returns detailed breakdown)
+ * Flatten every deduction into rows for the breakdown table:
+ * income tax bands, NI bands, then pension and student loan.
  */
-function calculateIncomeTax(grossIncome, region, taxYear) {
-    // Calculate Personal Allowance with tapering
-    const personalAllowance = calculatePersonalAllowance(grossIncome);
-
-    // Calculate taxable income
-    const taxableIncome = Math.max(0, grossIncome - personalAllowance);
-
-    // Get appropriate tax bands
-    const bandKey = `${region}_${taxYear}`;
-    const bands = TAX_CONFIG.bands[bandKey];
-
-    if (!bands) {
-        console.error(`Tax bands not found for ${bandKey}`);
-        return {
-            totalTax: 0,
-            breakdown: [],
-            personalAllowance,
-            taxableIncome: 0,
-            effectiveRate: 0
-        };
+function buildDeductionRows(result) {
+    const rows = result.taxBreakdown
+        .map(band => ({ ...band, bandName: `Income Tax — ${band.bandName}` }))
+        .concat(result.niBreakdown.map(band => ({ ...band, bandName: `National Insurance — ${band.bandName}` })));
+
+    if (result.pensionAnnual > 0) {
+        rows.push({
+            bandName: 'Pension (salary sacrifice)',
+            rate: result.pensionAnnual / result.grossAnnual,
+            amountInBand: result.grossAnnual,
+            taxInBand: result.pensionAnnual
+        });
     }
 
-    // Calculate breakdown
-    const breakdown = calculateTaxBreakdown(taxableIncome, bands);
-
-    // Sum total tax
-    const totalTax = breakdown.reduce((sum, band) => sum + band.taxInBand, 0);
-
-    // Calculate effective rate
-    const effectiveRate = grossIncome > 0 ? (totalTax / grossIncome) : 0;
+    // One row per plan, so a postgraduate loan shows beside the undergraduate one
+    result.studentLoanBreakdown
+        .filter(loan => loan.repayment > 0)
+        .forEach(loan => {
+            rows.push({
+                bandName: `Student Loan — ${STUDENT_LOAN_NAMES[loan.plan] || loan.plan}`,
+                rate: loan.rate,
+                amountInBand: loan.amountInBand,
+                taxInBand: loan.repayment
+            });
+        });
 
-    return {
-        totalTax,
-        breakdown,
-        personalAllowance,
-        taxableIncome,
-        effectiveRate
-    };
+    return rows;
 }
 
 // ─── Utility: safe DOM setter ────────────────────────────────────────────────
@@ -149,6 +115,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const daysInput    = document.getElementById('days-input');
         const regionSelect = document.getElementById('region-select');
         const taxyearSelect = document.getElementById('taxyear-select');
+        const pensionInput = document.getElementById('pension-input');
+        const studentLoanSelect = document.getElementById('studentloan-select');
         const resetBtn     = document.getElementById('reset-btn');
         const taxBreakdownBody = document.getElementById('tax-breakdown-body');
 
@@ -158,7 +126,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const weeks   = parseFloat(weeksInput.value)   || 0;
             const days    = parseFloat(daysInput.value)    || 0;
             const region  = regionSelect ? regionSelect.value : 'ENG';
-            const taxYear = taxyearSelect ? taxyearSelect.value : '2025_26';
+            const taxYear = taxyearSelect ? taxyearSelect.value : window.UKCalc.TAX_YEAR;
+            const pension = pensionInput ? parseFloat(pensionInput.value) || 0 : 0;
+            const studentLoan = studentLoanSelect ? studentLoanSelect.value : 'none';
 
             if (salary < 0 || hours <= 0 || weeks <= 0 || days <= 0) return;
 
@@ -176,8 +146,8 @@ document.addEventListener('DOMContentLoaded', () => {
             setEl('result-gross',   formatCurrency(salary));
 
             // ── Tax calculation ──
-            const taxData  = calculateIncomeTax(salary, region, taxYear);
-            const netAnnual  = salary - taxData.totalTax;
+            const taxData  = calculateTakeHome(salary, region, taxYear, pension, studentLoan);
+            const netAnnual  = taxData.netAnnual;
             const netMonthly = netAnnual / 12;
             const netWeekly  = netAnnual / weeks;
             const netDaily   = netWeekly / days;
@@ -194,6 +164,8 @@ document.addEventListener('DOMContentLoaded', () => {
             setEl('result-taxable-income',     formatCurrency(taxData.taxableIncome));
             setEl('result-tax-total',          formatCurrency(taxData.totalTax));
             setEl('result-effective-rate',     (taxData.effectiveRate * 100).toFixed(1) + '%');
+            setEl('result-ni-total',           formatCurrency(taxData.ni));
+            setEl('result-deductions-total',   formatCurrency(taxData.totalDeductions));
 
             // ── Tax breakdown table ──
             if (taxBreakdownBody) {
@@ -202,7 +174,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     const row = document.createElement('tr');
                     row.innerHTML = `
                         <td>${band.bandName}</td>
-                        <td>${(band.rate * 100).toFixed(0)}%</td>
+                        <td>${+(band.rate * 100).toFixed(1)}%</td>
                         <td>${formatCurrency(band.amountInBand)}</td>
                         <td>${formatCurrency(band.taxInBand)}</td>
                     `;
@@ -212,7 +184,7 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         // Event listeners — recalculate on any input change
-        [salaryInput, hoursInput, weeksInput, daysInput, regionSelect, taxyearSelect]
+        [salaryInput, hoursInput, weeksInput, daysInput, regionSelect, taxyearSelect, pensionInput, studentLoanSelect]
             .filter(Boolean)
             .forEach(el => {
                 el.addEventListener('input',  calculateFromSalary);
@@ -226,7 +198,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 weeksInput.value   = 52;
                 daysInput.value    = 5;
                 if (regionSelect)  regionSelect.value  = 'ENG';
-                if (taxyearSelect) taxyearSelect.value = '2025_26';
+                if (taxyearSelect) taxyearSelect.value = window.UKCalc.TAX_YEAR;
+                if (pensionInput)  pensionInput.value  = 0;
+                if (studentLoanSelect) studentLoanSelect.value = 'none';
                 calculateFromSalary();
             });
         }
@@ -245,6 +219,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const daysInput    = document.getElementById('days-input');
         const regionSelect = document.getElementById('region-select');
         const taxyearSelect = document.getElementById('taxyear-select');
+        const pensionInput = document.getElementById('pension-input');
+        const studentLoanSelect = document.getElementById('studentloan-select');
         const resetBtn     = document.getElementById('reset-btn');
         const taxBreakdownBody = document.getElementById('tax-breakdown-body');
 
@@ -254,7 +230,9 @@ document.addEventListener('DOMContentLoaded', () => {
             const weeks   = parseFloat(weeksInput.value)   || 0;
             const days    = parseFloat(daysInput.value)    || 0;
             const region  = regionSelect ? regionSelect.value : 'ENG';
-            const taxYear = taxyearSelect ? taxyearSelect.value : '2025_26';
+            const taxYear = taxyearSelect ? taxyearSelect.value : window.UKCalc.TAX_YEAR;
+            const pension = pensionInput ? parseFloat(pensionInput.value) || 0 : 0;
+            const studentLoan = studentLoanSelect ? studentLoanSelect.value : 'none';
 
             if (hourly < 0 || hours <= 0 || weeks <= 0 || days <= 0) return;
 
@@ -270,8 +248,8 @@ document.addEventListener('DOMContentLoaded', () => {
             setEl('result-monthly', formatCurrency(monthlyPay));
 
             // ── Tax calculation ──
-            const taxData    = calculateIncomeTax(annualSalary, region, taxYear);
-            const netAnnual  = annualSalary - taxData.totalTax;
+            const taxData    = calculateTakeHome(annualSalary, region, taxYear, pension, studentLoan);
+            const netAnnual  = taxData.netAnnual;
             const netMonthly = netAnnual / 12;
             const netWeekly  = netAnnual / weeks;
             const netDaily   = netWeekly / days;
@@ -288,6 +266,8 @@ document.addEventListener('DOMContentLoaded', () => {
             setEl('result-taxable-income',     formatCurrency(taxData.taxableIncome));
             setEl('result-tax-total',          formatCurrency(taxData.totalTax));
             setEl('result-effective-rate',     (taxData.effectiveRate * 100).toFixed(1) + '%');
+            setEl('result-ni-total',           formatCurrency(taxData.ni));
+            setEl('result-deductions-total',   formatCurrency(taxData.totalDeductions));
 
             // ── Tax breakdown table ──
             if (taxBreakdownBody) {
@@ -296,7 +276,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     const row = document.createElement('tr');
                     row.innerHTML = `
                         <td>${band.bandName}</td>
-                        <td>${(band.rate * 100).toFixed(0)}%</td>
+                        <td>${+(band.rate * 100).toFixed(1)}%</td>
                         <td>${formatCurrency(band.amountInBand)}</td>
                         <td>${formatCurrency(band.taxInBand)}</td>
                     `;
@@ -306,7 +286,7 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         // Event listeners
-        [hourlyInput, hoursInput, weeksInput, daysInput, regionSelect, taxyearSelect]
+        [hourlyInput, hoursInput, weeksInput, daysInput, regionSelect, taxyearSelect, pensionInput, studentLoanSelect]
             .filter(Boolean)
             .forEach(el => {
                 el.addEventListener('input',  calculateFromHourly);
@@ -320,7 +300,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 weeksInput.value   = 52;
                 daysInput.value    = 5;
                 if (regionSelect)  regionSelect.value  = 'ENG';
-                if (taxyearSelect) taxyearSelect.value = '2025_26';
+                if (taxyearSelect) taxyearSelect.value = window.UKCalc.TAX_YEAR;
+                if (pensionInput)  pensionInput.value  = 0;
+                if (studentLoanSelect) studentLoanSelect.value = 'none';
                 calculateFromHourly();
             });
         }